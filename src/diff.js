@@ -0,0 +1,236 @@
+// Line based diffing (Myers' O(ND) algorithm, in linear space) and hunk helpers shared by the
+// git features: staging hunks, gutter markers, the diff viewer and blame.
+
+export function splitLines(text) {
+  if (typeof text !== 'string' || text === '') return [];
+  return text.split('\n');
+}
+
+// Returns a list of { type: 'equal' | 'insert' | 'delete', lines } operations
+// turning `a` into `b`. Both arguments are arrays of lines.
+export function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  if (start > 0) ops.push({ type: 'equal', lines: a.slice(0, start) });
+  for (const op of myers(a.slice(start, endA), b.slice(start, endB))) {
+    const last = ops[ops.length - 1];
+    if (last && last.type === op.type) last.lines.push(...op.lines);
+    else ops.push(op);
+  }
+  if (endA < a.length) {
+    const tail = a.slice(endA);
+    const last = ops[ops.length - 1];
+    if (last && last.type === 'equal') last.lines.push(...tail);
+    else ops.push({ type: 'equal', lines: tail });
+  }
+  return ops;
+}
+
+// Finds the middle snake of the shortest edit script between a[aLo..aHi] and
+// b[bLo..bHi] by searching from both ends at once, and returns it as
+// { x, y, u, v }: the diagonal run from (x, y) to (u, v). Only two vectors
+// are kept, so memory stays linear in the input size.
+function findMiddleSnake(a, aLo, aHi, b, bLo, bHi) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  // Furthest x reached on each diagonal, forwards from the start and
+  // backwards (in reversed coordinates) from the end
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      const reverseK = delta - k;
+      if (odd && reverseK >= -(d - 1) && reverseK <= d - 1 && x + backward[offset + reverseK] >= n) {
+        return { x: aLo + startX, y: bLo + startY, u: aLo + x, v: bLo + y };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      const forwardK = delta - k;
+      if (!odd && forwardK >= -d && forwardK <= d && x + forward[offset + forwardK] >= n) {
+        return { x: aHi - x, y: bHi - y, u: aHi - startX, v: bHi - startY };
+      }
+    }
+  }
+  return null;
+}
+
+// Appends the edits turning a[aLo..aHi] into b[bLo..bHi] to `edits`, as
+// { type: 'equal' | 'insert' | 'delete', line }
+function diffRange(a, aLo, aHi, b, bLo, bHi, edits) {
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    edits.push({ type: 'equal', line: a[aLo] });
+    aLo++;
+    bLo++;
+  }
+  let suffix = 0;
+  while (aHi - suffix > aLo && bHi - suffix > bLo && a[aHi - suffix - 1] === b[bHi - suffix - 1]) suffix++;
+  aHi -= suffix;
+  bHi -= suffix;
+
+  if (aLo === aHi) {
+    for (let i = bLo; i < bHi; i++) edits.push({ type: 'insert', line: b[i] });
+  } else if (bLo === bHi) {
+    for (let i = aLo; i < aHi; i++) edits.push({ type: 'delete', line: a[i] });
+  } else {
+    const snake = findMiddleSnake(a, aLo, aHi, b, bLo, bHi);
+    diffRange(a, aLo, snake.x, b, bLo, snake.y, edits);
+    for (let i = snake.x; i < snake.u; i++) edits.push({ type: 'equal', line: a[i] });
+    diffRange(a, snake.u, aHi, b, snake.v, bHi, edits);
+  }
+
+  for (let i = aHi; i < aHi + suffix; i++) edits.push({ type: 'equal', line: a[i] });
+}
+
+// Myers' diff in its linear-space, divide-and-conquer form
+function myers(a, b) {
+  const edits = [];
+  diffRange(a, 0, a.length, b, 0, b.length, edits);
+
+  // Collapse the script into runs, reporting deletions before insertions
+  // inside each change block
+  const ops = [];
+  let deleted = [];
+  let inserted = [];
+  const flushChanges = () => {
+    if (deleted.length) ops.push({ type: 'delete', lines: deleted });
+    if (inserted.length) ops.push({ type: 'insert', lines: inserted });
+    deleted = [];
+    inserted = [];
+  };
+  for (const edit of edits) {
+    if (edit.type === 'delete') {
+      deleted.push(edit.line);
+    } else if (edit.type === 'insert') {
+      inserted.push(edit.line);
+    } else {
+      flushChanges();
+      const last = ops[ops.length - 1];
+      if (last && last.type === 'equal') last.lines.push(edit.line);
+      else ops.push({ type: 'equal', lines: [edit.line] });
+    }
+  }
+  flushChanges();
+  return ops;
+}
+
+// Groups a diff into hunks with `context` unchanged lines around each change.
+// Start lines are 1-based and always point at the first line of the range,
+// even when the range is empty. Each hunk lists its lines as { type, text }
+// where type is ' ', '-' or '+'.
+export function buildHunks(oldLines, newLines, context = 3) {
+  const ops = diffLines(oldLines, newLines);
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+
+  ops.forEach((op, index) => {
+    if (op.type === 'equal') {
+      const count = op.lines.length;
+      if (current) {
+        const isLast = index === ops.length - 1;
+        if (count > context * 2 || isLast) {
+          const trailing = op.lines.slice(0, context);
+          trailing.forEach(text => current.lines.push({ type: ' ', text }));
+          current.oldLines += trailing.length;
+          current.newLines += trailing.length;
+          hunks.push(current);
+          current = null;
+        } else {
+          op.lines.forEach(text => current.lines.push({ type: ' ', text }));
+          current.oldLines += count;
+          current.newLines += count;
+        }
+      }
+      oldLine += count;
+      newLine += count;
+      return;
+    }
+
+    if (!current) {
+      const prev = ops[index - 1];
+      const leading = prev && prev.type === 'equal' && context > 0 ? prev.lines.slice(-context) : [];
+      current = {
+        oldStart: oldLine - leading.length,
+        oldLines: leading.length,
+        newStart: newLine - leading.length,
+        newLines: leading.length,
+        lines: leading.map(text => ({ type: ' ', text }))
+      };
+    }
+
+    if (op.type === 'delete') {
+      op.lines.forEach(text => current.lines.push({ type: '-', text }));
+      current.oldLines += op.lines.length;
+      oldLine += op.lines.length;
+    } else {
+      op.lines.forEach(text => current.lines.push({ type: '+', text }));
+      current.newLines += op.lines.length;
+      newLine += op.lines.length;
+    }
+  });
+
+  if (current) hunks.push(current);
+  return hunks;
+}
+
+function hunkSide(hunk, keep) {
+  return hunk.lines.filter(line => line.type === ' ' || line.type === keep).map(line => line.text);
+}
+
+// Applies a hunk computed from diff(base, target) onto the base lines
+export function applyHunk(baseLines, hunk) {
+  const result = baseLines.slice();
+  result.splice(hunk.oldStart - 1, hunk.oldLines, ...hunkSide(hunk, '+'));
+  return result;
+}
+
+// Undoes a hunk computed from diff(base, target) on the target lines
+export function revertHunk(targetLines, hunk) {
+  const result = targetLines.slice();
+  result.splice(hunk.newStart - 1, hunk.newLines, ...hunkSide(hunk, '-'));
+  return result;
+}
+
+export function formatHunkHeader(hunk) {
+  const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+  const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+  return `@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`;
+}
@@ -0,0 +1,70 @@
+// Decides which project entries are excluded from the explorer, the preview
+// and project search: the rules of the project's .gitignore files (each one
+// applies below its own folder, deeper files winning) plus a user-configured
+// list of patterns in the same syntax.
+
+import ignore from "ignore";
+
+export const DEFAULT_EXCLUDES = ['node_modules', '.git', 'dist'];
+
+function relativeTo(folder, path) {
+  return folder ? path.slice(folder.length + 1) : path;
+}
+
+export class ExcludeRules {
+  constructor(patterns = DEFAULT_EXCLUDES) {
+    this.gitignores = new Map(); // folder path -> rules of its .gitignore
+    this.cache = new Map();
+    this.setPatterns(patterns);
+  }
+
+  setPatterns(patterns) {
+    this.patterns = patterns.slice();
+    this.excludes = ignore().add(this.patterns);
+    this.cache.clear();
+  }
+
+  // Registers the .gitignore of `folder` ('' for the project root), or
+  // forgets it when `text` is null
+  setGitignore(folder, text) {
+    if (text === null) this.gitignores.delete(folder);
+    else this.gitignores.set(folder, ignore().add(text));
+    this.cache.clear();
+  }
+
+  clear() {
+    this.gitignores.clear();
+    this.cache.clear();
+  }
+
+  // As in git, nothing below an excluded folder can be included again
+  isExcluded(path, kind) {
+    const key = `${kind}:${path}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const parts = path.split('/');
+    let excluded = false;
+    if (parts.length > 1) excluded = this.isExcluded(parts.slice(0, -1).join('/'), 'directory');
+    if (!excluded) excluded = this.matches(path, kind);
+
+    this.cache.set(key, excluded);
+    return excluded;
+  }
+
+  matches(path, kind) {
+    const testPath = kind === 'directory' ? `${path}/` : path;
+    if (this.excludes.ignores(testPath)) return true;
+
+    const folders = Array.from(this.gitignores.keys())
+      .filter(folder => !folder || path.startsWith(folder + '/'))
+      .sort((a, b) => a.length - b.length);
+
+    let ignored = false;
+    for (const folder of folders) {
+      const { ignored: isIgnored, unignored } = this.gitignores.get(folder).test(relativeTo(folder, testPath));
+      if (isIgnored) ignored = true;
+      else if (unignored) ignored = false;
+    }
+    return ignored;
+  }
+}
@@ -0,0 +1,98 @@
+// Files and folders brought in from the computer, picked or dragged onto the
+// explorer. Every source is read into the same import items, which keep the
+// folder structure until they are written into the project:
+//   { name, kind: 'file', file } | { name, kind: 'directory', children }
+
+// Whether a drag carries files from outside the page
+export function isFileDrag(dataTransfer) {
+  return Array.from(dataTransfer.types || []).includes('Files');
+}
+
+// The dropped entries. They can only be taken from the DataTransfer while the
+// drop event is handled, so this has to run before anything is awaited.
+export function getDroppedEntries(dataTransfer) {
+  return Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file' && item.webkitGetAsEntry)
+    .map(item => item.webkitGetAsEntry())
+    .filter(Boolean);
+}
+
+export async function itemFromEntry(entry) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return { name: entry.name, kind: 'file', file };
+  }
+
+  // Listings come in batches until an empty one
+  const reader = entry.createReader();
+  const children = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    for (const child of batch) children.push(await itemFromEntry(child));
+  }
+  return { name: entry.name, kind: 'directory', children };
+}
+
+export async function itemFromHandle(handle) {
+  if (handle.kind === 'file') {
+    return { name: handle.name, kind: 'file', file: await handle.getFile() };
+  }
+  const children = [];
+  for await (const entry of handle.values()) children.push(await itemFromHandle(entry));
+  return { name: handle.name, kind: 'directory', children };
+}
+
+// Top-level items of picked files. Files picked through a folder input carry
+// their path, starting with the picked folder, in `webkitRelativePath`.
+export function itemsFromFiles(files) {
+  const items = [];
+  const folders = new Map();
+  for (const file of files) {
+    const parts = (file.webkitRelativePath || file.name).split('/').filter(Boolean);
+    parts.pop();
+    let siblings = items;
+    let path = '';
+    for (const part of parts) {
+      path = path ? `${path}/${part}` : part;
+      let folder = folders.get(path);
+      if (!folder) {
+        folder = { name: part, kind: 'directory', children: [] };
+        folders.set(path, folder);
+        siblings.push(folder);
+      }
+      siblings = folder.children;
+    }
+    siblings.push({ name: file.name, kind: 'file', file });
+  }
+  return items;
+}
+
+// Paths of an item and everything in it, with the item itself at `base`
+export function getItemPaths(item, base, paths = []) {
+  paths.push(base);
+  if (item.kind === 'directory') {
+    item.children.forEach(child => getItemPaths(child, `${base}/${child.name}`, paths));
+  }
+  return paths;
+}
+
+export function countFiles(items) {
+  return items.reduce((count, item) => count + (item.kind === 'file' ? 1 : countFiles(item.children)), 0);
+}
+
+// Writes an item as `name` inside `parentHandle`, adding to a folder of that
+// name if there is one, and returns the handle of the written file or folder
+export async function writeImportItem(item, parentHandle, name = item.name) {
+  if (item.kind === 'file') {
+    const fileHandle = await parentHandle.getFileHandle(name, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(item.file);
+    await writable.close();
+    return fileHandle;
+  }
+
+  const dirHandle = await parentHandle.getDirectoryHandle(name, { create: true });
+  for (const child of item.children) await writeImportItem(child, dirHandle);
+  return dirHandle;
+}
@@ -0,0 +1,125 @@
+// Notices changes other programs make inside the open folder. Browsers with
+// FileSystemObserver report them directly; elsewhere the folder is polled
+// while the page is visible. Either way the callback receives batches of
+//   { files, folders, scope }
+// where `files` are paths whose content may have changed, `folders` paths
+// whose listing may have changed, and `scope` asks for a check of the open
+// files ('open') or of everything that was read so far ('all'), for changes
+// that can't be pinned to a path. Batches never overlap.
+
+const POLL_INTERVAL = 3000;
+const BATCH_DELAY = 200;
+
+function isGitPath(parts) {
+  return parts[0] === '.git';
+}
+
+export class FileWatcher {
+  constructor(rootHandle, onChange) {
+    this.rootHandle = rootHandle;
+    this.onChange = onChange;
+    this.pending = null;
+    this.busy = false;
+    this.stopped = false;
+    this.observer = null;
+    this.timer = null;
+    this.batchTimer = null;
+    // Coming back to the page is when changes made in other programs show up
+    this.onFocus = () => this.queue({ scope: 'all' });
+    this.onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') this.onFocus();
+    };
+  }
+
+  async start() {
+    if (typeof FileSystemObserver !== 'undefined' && this.rootHandle instanceof FileSystemHandle) {
+      try {
+        this.observer = new FileSystemObserver(records => this.handleRecords(records));
+        await this.observer.observe(this.rootHandle, { recursive: true });
+      } catch (err) {
+        console.warn('FileSystemObserver unavailable, polling instead:', err);
+        this.observer = null;
+      }
+    }
+
+    if (!this.observer) {
+      this.timer = setInterval(() => {
+        if (document.visibilityState === 'visible') this.queue({ scope: 'open' });
+      }, POLL_INTERVAL);
+    }
+    window.addEventListener('focus', this.onFocus);
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.observer) this.observer.disconnect();
+    clearInterval(this.timer);
+    clearTimeout(this.batchTimer);
+    window.removeEventListener('focus', this.onFocus);
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+  }
+
+  handleRecords(records) {
+    const files = [];
+    const folders = [];
+    let scope = null;
+
+    for (const record of records) {
+      if (record.type === 'unknown' || record.type === 'errored') {
+        scope = 'all';
+        continue;
+      }
+
+      const parts = record.relativePathComponents || [];
+      if (parts.length === 0 || isGitPath(parts)) continue;
+      const path = parts.join('/');
+
+      if (record.type === 'modified') {
+        files.push(path);
+        if (record.changedHandle && record.changedHandle.kind === 'directory') folders.push(path);
+        continue;
+      }
+
+      // appeared, disappeared and moved change the listing of the parent
+      files.push(path);
+      folders.push(parts.slice(0, -1).join('/'));
+      if (record.type === 'moved' && record.relativePathMovedFrom) {
+        const from = record.relativePathMovedFrom;
+        if (!isGitPath(from)) {
+          files.push(from.join('/'));
+          folders.push(from.slice(0, -1).join('/'));
+        }
+      }
+    }
+
+    this.queue({ files, folders, scope });
+  }
+
+  queue({ files = [], folders = [], scope = null }) {
+    if (this.stopped) return;
+    if (!this.pending) this.pending = { files: new Set(), folders: new Set(), scope: null };
+    files.forEach(path => this.pending.files.add(path));
+    folders.forEach(path => this.pending.folders.add(path));
+    if (scope === 'all' || (scope === 'open' && !this.pending.scope)) this.pending.scope = scope;
+
+    clearTimeout(this.batchTimer);
+    this.batchTimer = setTimeout(() => this.flush(), BATCH_DELAY);
+  }
+
+  async flush() {
+    if (this.busy || !this.pending || this.stopped) return;
+    const batch = this.pending;
+    this.pending = null;
+    this.busy = true;
+    try {
+      await this.onChange(batch);
+    } catch (err) {
+      console.error('File watcher error:', err);
+    } finally {
+      this.busy = false;
+    }
+    // Changes that came in while the batch was handled
+    if (this.pending) this.flush();
+  }
+}
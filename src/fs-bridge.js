@@ -0,0 +1,231 @@
+// Two-way mirror between a File System Access directory handle and a
+// directory in LightningFS, so isomorphic-git can operate on folders opened
+// from disk. A snapshot remembers the signature (size + modification time) of
+// every file on both sides at the last sync, which lets each direction copy
+// only what changed since then.
+//
+// snapshot: Map<relativePath, { disk: string, fs: string }>
+//
+// Mirrors and their snapshots are kept between sessions, so a folder opened
+// again only has its changes copied.
+
+function joinPath(base, name) {
+  return base ? `${base}/${name}` : name;
+}
+
+function diskSignature(file) {
+  return `${file.size}:${file.lastModified}`;
+}
+
+function fsSignature(stat) {
+  return `${stat.size}:${stat.mtimeMs}`;
+}
+
+async function statOrNull(pfs, path) {
+  try {
+    return await pfs.stat(path);
+  } catch (e) {
+    return null;
+  }
+}
+
+async function ensureFsDir(pfs, path) {
+  const parts = path.split('/').filter(Boolean);
+  let current = '';
+  for (const part of parts) {
+    current += `/${part}`;
+    try {
+      await pfs.mkdir(current);
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+  }
+}
+
+async function getDiskDirectory(rootHandle, path, create) {
+  let handle = rootHandle;
+  for (const part of path.split('/').filter(Boolean)) {
+    handle = await handle.getDirectoryHandle(part, { create });
+  }
+  return handle;
+}
+
+function splitParent(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? ['', path] : [path.substring(0, index), path.substring(index + 1)];
+}
+
+async function* walkDisk(dirHandle, base, shouldSkip) {
+  for await (const entry of dirHandle.values()) {
+    const path = joinPath(base, entry.name);
+    if (shouldSkip && shouldSkip(path, entry.kind)) continue;
+    if (entry.kind === 'directory') {
+      yield* walkDisk(entry, path, shouldSkip);
+    } else {
+      yield { path, handle: entry };
+    }
+  }
+}
+
+async function* walkFs(pfs, root, base, shouldSkip) {
+  let names;
+  try {
+    names = await pfs.readdir(base ? `${root}/${base}` : root);
+  } catch (e) {
+    return;
+  }
+  for (const name of names) {
+    const path = joinPath(base, name);
+    const stat = await pfs.stat(`${root}/${path}`);
+    const kind = stat.type === 'dir' ? 'directory' : 'file';
+    if (shouldSkip && shouldSkip(path, kind)) continue;
+    if (kind === 'directory') {
+      yield* walkFs(pfs, root, path, shouldSkip);
+    } else {
+      yield { path, stat };
+    }
+  }
+}
+
+// The files at `paths` on disk, walking the folders among them
+async function* walkDiskPaths(rootHandle, paths, shouldSkip) {
+  for (const path of paths) {
+    if (!path) {
+      yield* walkDisk(rootHandle, '', shouldSkip);
+      continue;
+    }
+    const [parentPath, name] = splitParent(path);
+    let entry = null;
+    try {
+      const parentHandle = await getDiskDirectory(rootHandle, parentPath, false);
+      entry = await parentHandle.getFileHandle(name).catch(() => parentHandle.getDirectoryHandle(name));
+    } catch (e) {
+      continue; // Gone from disk
+    }
+    if (shouldSkip && shouldSkip(path, entry.kind)) continue;
+    if (entry.kind === 'directory') yield* walkDisk(entry, path, shouldSkip);
+    else yield { path, handle: entry };
+  }
+}
+
+function isSameOrInside(path, folderPath) {
+  return !folderPath || path === folderPath || path.startsWith(`${folderPath}/`);
+}
+
+// Copies new and modified files from disk into LightningFS and removes files
+// that disappeared from disk. With `paths`, only those files and folders are
+// looked at instead of the whole folder. Returns the paths that changed.
+export async function mirrorFolderToFs(rootHandle, pfs, dir, snapshot, shouldSkip, paths = null) {
+  const changed = [];
+  const seen = new Set();
+  const walk = paths ? walkDiskPaths(rootHandle, paths, shouldSkip) : walkDisk(rootHandle, '', shouldSkip);
+
+  for await (const { path, handle } of walk) {
+    seen.add(path);
+    const file = await handle.getFile();
+    const signature = diskSignature(file);
+    const record = snapshot.get(path);
+    const fsPath = `${dir}/${path}`;
+
+    if (record && record.disk === signature && await statOrNull(pfs, fsPath)) continue;
+
+    await ensureFsDir(pfs, splitParent(fsPath)[0]);
+    await pfs.writeFile(fsPath, new Uint8Array(await file.arrayBuffer()));
+    snapshot.set(path, { disk: signature, fs: fsSignature(await pfs.stat(fsPath)) });
+    changed.push(path);
+  }
+
+  for (const path of Array.from(snapshot.keys())) {
+    if (seen.has(path)) continue;
+    if (paths && !paths.some(scope => isSameOrInside(path, scope))) continue;
+    snapshot.delete(path);
+    try {
+      await pfs.unlink(`${dir}/${path}`);
+      changed.push(path);
+    } catch (e) { }
+  }
+
+  return changed;
+}
+
+// Writes files that LightningFS changed (e.g. through a commit or checkout)
+// back to disk and removes files that LightningFS deleted. Returns the paths
+// that changed.
+export async function mirrorFsToFolder(pfs, dir, rootHandle, snapshot, shouldSkip) {
+  const changed = [];
+  const seen = new Set();
+
+  for await (const { path, stat } of walkFs(pfs, dir, '', shouldSkip)) {
+    seen.add(path);
+    const signature = fsSignature(stat);
+    const record = snapshot.get(path);
+    if (record && record.fs === signature) continue;
+
+    const [parentPath, name] = splitParent(path);
+    const parentHandle = await getDiskDirectory(rootHandle, parentPath, true);
+    const fileHandle = await parentHandle.getFileHandle(name, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(await pfs.readFile(`${dir}/${path}`));
+    await writable.close();
+
+    snapshot.set(path, { disk: diskSignature(await fileHandle.getFile()), fs: signature });
+    changed.push(path);
+  }
+
+  const removedParents = new Set();
+  for (const path of Array.from(snapshot.keys())) {
+    if (seen.has(path)) continue;
+    snapshot.delete(path);
+    const [parentPath, name] = splitParent(path);
+    try {
+      const parentHandle = await getDiskDirectory(rootHandle, parentPath, false);
+      await parentHandle.removeEntry(name);
+      changed.push(path);
+      if (parentPath) removedParents.add(parentPath);
+    } catch (e) { }
+  }
+
+  // Drop directories that no longer exist in LightningFS once they are empty
+  const parents = Array.from(removedParents).sort((a, b) => b.length - a.length);
+  for (const parentPath of parents) {
+    let path = parentPath;
+    while (path && !(await statOrNull(pfs, `${dir}/${path}`))) {
+      const [grandParent, name] = splitParent(path);
+      try {
+        const grandParentHandle = await getDiskDirectory(rootHandle, grandParent, false);
+        await grandParentHandle.removeEntry(name);
+      } catch (e) {
+        break; // Not empty, or already gone
+      }
+      path = grandParent;
+    }
+  }
+
+  return changed;
+}
+
+// The snapshot saved at `path`, or null when there is none
+export async function loadSnapshot(pfs, path) {
+  try {
+    return new Map(JSON.parse(await pfs.readFile(path, 'utf8')));
+  } catch (e) {
+    return null;
+  }
+}
+
+export async function saveSnapshot(pfs, path, snapshot) {
+  await pfs.writeFile(path, JSON.stringify(Array.from(snapshot)), 'utf8');
+}
+
+// Removes the files of a kept mirror that its snapshot doesn't account for:
+// ones git changed after the last sync to disk, or ones written by a session
+// that ended before saving the snapshot. The next sync copies them from disk
+// again.
+export async function pruneMirror(pfs, dir, snapshot) {
+  for await (const { path, stat } of walkFs(pfs, dir, '')) {
+    const record = snapshot.get(path);
+    if (record && record.fs === fsSignature(stat)) continue;
+    snapshot.delete(path);
+    await pfs.unlink(`${dir}/${path}`);
+  }
+}
@@ -0,0 +1,86 @@
+// Fuzzy matching of file paths for Quick Open. The characters of the query
+// have to appear in the path in order, not necessarily next to each other.
+// Matches are scored so that runs of characters, characters starting a word
+// or path segment, and characters in the file name count the most, while
+// every character skipped between two matches costs a little.
+
+const SCORE_MATCH = 16;
+const BONUS_CONSECUTIVE = 12;
+const BONUS_SEGMENT_START = 10; // After "/"
+const BONUS_WORD_START = 8; // After "-", "_", ".", " " or a lowercase letter before an uppercase one
+const BONUS_FILE_NAME = 4;
+const PENALTY_GAP = 1;
+
+function getBonuses(text) {
+  const nameStart = text.lastIndexOf('/') + 1;
+  return Array.from(text, (char, i) => {
+    const prev = text[i - 1];
+    let bonus = i >= nameStart ? BONUS_FILE_NAME : 0;
+    if (i === 0 || prev === '/') bonus += BONUS_SEGMENT_START;
+    else if ('-_. '.includes(prev) || (prev.toLowerCase() === prev && char.toLowerCase() !== char)) bonus += BONUS_WORD_START;
+    return bonus;
+  });
+}
+
+// Returns { score, indices } for the best way `query` matches `text`, with
+// `indices` the positions of the matched characters, or null if it doesn't
+// match. Case and whitespace in the query are ignored.
+export function fuzzyMatch(query, text) {
+  const needle = query.replace(/\s+/g, '').toLowerCase();
+  const haystack = text.toLowerCase();
+  const m = needle.length;
+  const n = haystack.length;
+  if (m === 0) return { score: 0, indices: [] };
+
+  let found = 0;
+  for (let j = 0; j < n && found < m; j++) {
+    if (haystack[j] === needle[found]) found++;
+  }
+  if (found < m) return null;
+
+  // ending[i][j]: best score with needle[i] matched at j
+  // best[i][j]: best score with needle[0..i] matched within text[0..j]
+  const bonuses = getBonuses(text);
+  const ending = [];
+  const best = [];
+  for (let i = 0; i < m; i++) {
+    ending.push(new Array(n).fill(-Infinity));
+    best.push(new Array(n).fill(-Infinity));
+    for (let j = i; j < n; j++) {
+      if (haystack[j] === needle[i]) {
+        let previous = 0;
+        if (i > 0) previous = Math.max(best[i - 1][j - 1], ending[i - 1][j - 1] + BONUS_CONSECUTIVE);
+        ending[i][j] = previous + SCORE_MATCH + bonuses[j];
+      }
+      // Characters after the last match aren't a gap
+      const gap = i === m - 1 ? 0 : PENALTY_GAP;
+      best[i][j] = Math.max(ending[i][j], j > 0 ? best[i][j - 1] - gap : -Infinity);
+    }
+  }
+
+  // Walk back through the matrices to find which characters were used
+  const indices = [];
+  let mustMatch = false;
+  for (let i = m - 1, j = n - 1; i >= 0; i--) {
+    for (; j >= i; j--) {
+      if (ending[i][j] === -Infinity || (!mustMatch && ending[i][j] !== best[i][j])) continue;
+      mustMatch = i > 0 && ending[i][j] === ending[i - 1][j - 1] + BONUS_CONSECUTIVE + SCORE_MATCH + bonuses[j];
+      indices.unshift(j);
+      j--;
+      break;
+    }
+  }
+
+  return { score: best[m - 1][n - 1], indices };
+}
+
+// Splits a trailing ":line" or ":line:column" off a Quick Open query
+export function splitLineSuffix(input) {
+  const match = /^(.*?):(\d+)(?::(\d+))?\s*$/.exec(input);
+  if (!match) return { query: input.trim(), line: null, column: null };
+  return {
+    query: match[1].trim(),
+    line: parseInt(match[2], 10),
+    column: match[3] ? parseInt(match[3], 10) : null
+  };
+}
@@ -0,0 +1,131 @@
+// Line blame computed from a file's history, and a CodeMirror gutter showing
+// the commit, author and date that last touched each line.
+
+import { gutter, GutterMarker } from "@codemirror/view";
+import { StateField, StateEffect, RangeSet } from "@codemirror/state";
+import { splitLines, diffLines } from "./diff.js";
+
+// For each line of `b`, the index of the same line in `a`, or -1 when the
+// line was inserted
+function mapLines(a, b) {
+  const map = new Array(b.length).fill(-1);
+  let aIndex = 0;
+  let bIndex = 0;
+  for (const op of diffLines(a, b)) {
+    if (op.type === 'equal') {
+      op.lines.forEach(() => { map[bIndex++] = aIndex++; });
+    } else if (op.type === 'delete') {
+      aIndex += op.lines.length;
+    } else {
+      bIndex += op.lines.length;
+    }
+  }
+  return map;
+}
+
+// Attributes every line of `text` to one of `versions`, the file's contents
+// as written by each commit that changed it (newest first, `null` where the
+// file didn't exist). Returns one version index per line, or -1 for lines
+// that aren't committed yet.
+export function blameLines(text, versions) {
+  const lines = splitLines(text);
+  const result = new Array(lines.length).fill(-1);
+  if (versions.length === 0 || versions[0] === null) return result;
+
+  const toNewest = mapLines(splitLines(versions[0]), lines);
+  let pending = [];
+  toNewest.forEach((index, line) => {
+    if (index !== -1) pending.push({ line, index });
+  });
+
+  for (let v = 0; v < versions.length && pending.length > 0; v++) {
+    const older = versions[v + 1];
+    if (older === undefined || older === null) {
+      pending.forEach(({ line }) => { result[line] = v; });
+      break;
+    }
+
+    const toOlder = mapLines(splitLines(older), splitLines(versions[v]));
+    const next = [];
+    pending.forEach(({ line, index }) => {
+      if (toOlder[index] === -1) result[line] = v;
+      else next.push({ line, index: toOlder[index] });
+    });
+    pending = next;
+  }
+  return result;
+}
+
+// --- Editor extension ---
+
+// Sets the annotations, one per document line ({ label, title, ... } or
+// null), or null to turn blame off
+export const setBlame = StateEffect.define();
+
+class BlameMarker extends GutterMarker {
+  constructor(entry, showLabel) {
+    super();
+    this.entry = entry;
+    this.showLabel = showLabel;
+  }
+
+  eq(other) {
+    return other.entry === this.entry && other.showLabel === this.showLabel;
+  }
+
+  toDOM() {
+    const el = document.createElement('div');
+    el.className = `cm-blame-annotation ${this.entry.uncommitted ? 'cm-blame-uncommitted' : ''}`;
+    el.textContent = this.showLabel ? this.entry.label : '';
+    el.title = this.entry.title;
+    return el;
+  }
+}
+
+const blameField = StateField.define({
+  create() {
+    return RangeSet.empty;
+  },
+  update(markers, tr) {
+    for (const effect of tr.effects) {
+      if (effect.is(setBlame)) return buildMarkers(effect.value, tr.state.doc);
+    }
+    return tr.docChanged ? markers.map(tr.changes) : markers;
+  }
+});
+
+function buildMarkers(entries, doc) {
+  if (!entries) return RangeSet.empty;
+
+  const ranges = [];
+  const count = Math.min(entries.length, doc.lines);
+  for (let i = 0; i < count; i++) {
+    const entry = entries[i];
+    if (!entry) continue;
+    // Label only the first line of each run from the same commit
+    ranges.push(new BlameMarker(entry, i === 0 || entries[i - 1] !== entry).range(doc.line(i + 1).from));
+  }
+  return RangeSet.of(ranges);
+}
+
+// `onOpen(entry)` is called when an annotation is clicked
+export function blameGutter(onOpen) {
+  return [
+    blameField,
+    gutter({
+      class: 'cm-blame-gutter',
+      markers: (view) => view.state.field(blameField),
+      domEventHandlers: {
+        click(view, line) {
+          let entry = null;
+          view.state.field(blameField).between(line.from, line.from, (from, to, marker) => {
+            entry = marker.entry;
+          });
+          if (!entry || entry.uncommitted) return false;
+          onOpen(entry);
+          return true;
+        }
+      }
+    })
+  ];
+}
@@ -0,0 +1,243 @@
+// CodeMirror extension that marks lines added, modified or deleted relative to
+// a baseline text (the file's HEAD blob). Clicking a marker opens an inline
+// peek with the original lines and a button to revert that hunk.
+
+import { EditorView, ViewPlugin, gutter, GutterMarker, Decoration, WidgetType } from "@codemirror/view";
+import { StateField, StateEffect, RangeSet } from "@codemirror/state";
+import { splitLines, buildHunks, revertHunk } from "./diff.js";
+
+// Sets the baseline text, or null to disable the markers
+export const setGitBaseline = StateEffect.define();
+const setHunks = StateEffect.define();
+const togglePeek = StateEffect.define();
+
+// How long typing has to pause before the markers are diffed again
+const DIFF_DELAY = 300;
+
+const gitChangesField = StateField.define({
+  create() {
+    return { baseline: null, hunks: [], markers: RangeSet.empty, peek: null, stale: false };
+  },
+  update(value, tr) {
+    let { baseline, hunks, markers, peek, stale } = value;
+
+    // Until the diff runs again, markers move along with the edits
+    if (tr.docChanged) {
+      markers = markers.map(tr.changes);
+      peek = null;
+      stale = true;
+    }
+    for (const effect of tr.effects) {
+      if (effect.is(setGitBaseline)) {
+        baseline = effect.value;
+        peek = null;
+        if (baseline === null) {
+          hunks = [];
+          markers = RangeSet.empty;
+          stale = false;
+        }
+      } else if (effect.is(setHunks)) {
+        hunks = effect.value;
+        markers = buildMarkers(hunks, tr.state.doc);
+        stale = false;
+      } else if (effect.is(togglePeek)) {
+        peek = effect.value === peek ? null : effect.value;
+      }
+    }
+    return { baseline, hunks, markers, peek, stale };
+  }
+});
+
+// Diffs the document against the baseline off the typing path: right away
+// for a new baseline, and once typing pauses after edits
+const hunkUpdater = ViewPlugin.fromClass(class {
+  constructor(view) {
+    this.view = view;
+    this.timer = null;
+  }
+
+  update(update) {
+    if (update.transactions.some(tr => tr.effects.some(effect => effect.is(setGitBaseline)))) {
+      this.schedule(0);
+    } else if (update.docChanged) {
+      this.schedule(DIFF_DELAY);
+    }
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.computeHunks(), delay);
+  }
+
+  computeHunks() {
+    const { baseline } = this.view.state.field(gitChangesField);
+    if (baseline === null) return;
+    const hunks = buildHunks(splitLines(baseline), splitLines(this.view.state.doc.toString()), 0);
+    this.view.dispatch({ effects: setHunks.of(hunks) });
+  }
+
+  destroy() {
+    clearTimeout(this.timer);
+  }
+});
+
+function hunkType(hunk) {
+  if (hunk.newLines === 0) return 'deleted';
+  return hunk.oldLines === 0 ? 'added' : 'modified';
+}
+
+// The document line a hunk's marker and peek are anchored to
+function anchorLine(hunk, doc) {
+  const line = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart + hunk.newLines - 1;
+  return Math.min(Math.max(line, 1), doc.lines);
+}
+
+class ChangeMarker extends GutterMarker {
+  constructor(type, index) {
+    super();
+    this.type = type;
+    this.index = index;
+    this.elementClass = `cm-git-${type}`;
+  }
+
+  eq(other) {
+    return other.type === this.type && other.index === this.index;
+  }
+
+  toDOM() {
+    const el = document.createElement('div');
+    el.className = 'cm-git-marker';
+    el.title = 'Show original lines';
+    return el;
+  }
+}
+
+function buildMarkers(hunks, doc) {
+  const ranges = [];
+
+  hunks.forEach((hunk, index) => {
+    const type = hunkType(hunk);
+    if (type === 'deleted') {
+      ranges.push(new ChangeMarker(type, index).range(doc.line(anchorLine(hunk, doc)).from));
+      return;
+    }
+    const last = Math.min(hunk.newStart + hunk.newLines - 1, doc.lines);
+    for (let line = hunk.newStart; line <= last; line++) {
+      ranges.push(new ChangeMarker(type, index).range(doc.line(line).from));
+    }
+  });
+
+  return RangeSet.of(ranges, true);
+}
+
+// Replaces only the span that differs between two texts so the cursor and
+// undo history stay meaningful
+function minimalChange(from, to) {
+  let start = 0;
+  while (start < from.length && start < to.length && from[start] === to[start]) start++;
+  let endFrom = from.length;
+  let endTo = to.length;
+  while (endFrom > start && endTo > start && from[endFrom - 1] === to[endTo - 1]) {
+    endFrom--;
+    endTo--;
+  }
+  return { from: start, to: endFrom, insert: to.slice(start, endTo) };
+}
+
+function revertHunkInView(view, hunk) {
+  const current = view.state.doc.toString();
+  const reverted = revertHunk(splitLines(current), hunk).join('\n');
+  view.dispatch({ changes: minimalChange(current, reverted), userEvent: 'input.revert' });
+}
+
+class PeekWidget extends WidgetType {
+  constructor(hunk, index) {
+    super();
+    this.hunk = hunk;
+    this.index = index;
+  }
+
+  eq(other) {
+    return other.index === this.index && other.hunk === this.hunk;
+  }
+
+  toDOM(view) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'cm-git-peek';
+
+    const header = document.createElement('div');
+    header.className = 'cm-git-peek-header';
+    const type = hunkType(this.hunk);
+    const title = document.createElement('span');
+    title.textContent = type === 'added' ? 'Added lines (not in HEAD)' : `Original lines in HEAD (${this.hunk.oldLines})`;
+    header.appendChild(title);
+
+    const revertBtn = document.createElement('button');
+    revertBtn.className = 'cm-git-peek-btn';
+    revertBtn.textContent = 'Revert Hunk';
+    revertBtn.onclick = () => revertHunkInView(view, this.hunk);
+    header.appendChild(revertBtn);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'cm-git-peek-btn';
+    closeBtn.textContent = '×';
+    closeBtn.title = 'Close';
+    closeBtn.onclick = () => view.dispatch({ effects: togglePeek.of(null) });
+    header.appendChild(closeBtn);
+
+    wrapper.appendChild(header);
+
+    const removed = this.hunk.lines.filter(line => line.type === '-');
+    if (removed.length > 0) {
+      const pre = document.createElement('pre');
+      pre.className = 'cm-git-peek-body';
+      removed.forEach(line => {
+        const lineEl = document.createElement('div');
+        lineEl.className = 'diff-line-removed';
+        lineEl.textContent = line.text || ' ';
+        pre.appendChild(lineEl);
+      });
+      wrapper.appendChild(pre);
+    }
+    return wrapper;
+  }
+
+  ignoreEvent() {
+    return true;
+  }
+}
+
+const peekDecorations = EditorView.decorations.compute([gitChangesField], (state) => {
+  const { hunks, peek } = state.field(gitChangesField);
+  const hunk = hunks[peek];
+  if (!hunk) return Decoration.none;
+
+  const atTop = hunk.newLines === 0 && hunk.newStart === 1;
+  const line = state.doc.line(anchorLine(hunk, state.doc));
+  const widget = Decoration.widget({ widget: new PeekWidget(hunk, peek), block: true, side: atTop ? -1 : 1 });
+  return Decoration.set([widget.range(atTop ? line.from : line.to)]);
+});
+
+const changeGutter = gutter({
+  class: 'cm-git-gutter',
+  markers: (view) => view.state.field(gitChangesField).markers,
+  initialSpacer: () => new ChangeMarker('modified', -1),
+  domEventHandlers: {
+    click(view, line) {
+      // Hunks from before the last edits would peek at and revert the wrong lines
+      const { markers, stale } = view.state.field(gitChangesField);
+      if (stale) return false;
+      let index = null;
+      markers.between(line.from, line.from, (from, to, marker) => {
+        index = marker.index;
+      });
+      if (index === null) return false;
+      view.dispatch({ effects: togglePeek.of(index) });
+      return true;
+    }
+  }
+});
+
+export function gitChangeGutter() {
+  return [gitChangesField, hunkUpdater, changeGutter, peekDecorations];
+}
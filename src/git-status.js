@@ -0,0 +1,40 @@
+// Helpers for interpreting isomorphic-git's statusMatrix rows.
+// A row is [filepath, head, workdir, stage] where
+//   head:    0 = absent, 1 = present
+//   workdir: 0 = absent, 1 = identical to HEAD, 2 = different from HEAD
+//   stage:   0 = absent, 1 = identical to HEAD, 2 = identical to WORKDIR,
+//            3 = different from both
+
+// Splits a row into the change recorded in the index (staged) and the change
+// still only present in the working tree (unstaged). Either may be null.
+export function classifyStatusRow([, head, workdir, stage]) {
+  let staged = null;
+  if (head === 0 && stage !== 0) staged = 'added';
+  else if (head === 1 && stage === 0) staged = 'deleted';
+  else if (head === 1 && (stage === 3 || (stage === 2 && workdir === 2))) staged = 'modified';
+
+  let unstaged = null;
+  if (workdir === 0 && stage !== 0) unstaged = 'deleted';
+  else if (workdir !== 0 && stage === 0) unstaged = 'untracked';
+  else if (workdir === 2 && (stage === 1 || stage === 3)) unstaged = 'modified';
+  else if (workdir === 1 && stage === 3) unstaged = 'modified';
+
+  return { staged, unstaged };
+}
+
+// The decoration shown for a working tree file in the explorer, or null when
+// the file matches HEAD or no longer exists
+export function treeStatusFromRow([, head, workdir, stage]) {
+  if (workdir === 0) return null;
+  if (head === 0) return stage === 0 ? 'untracked' : 'added';
+  if (workdir === 2 || stage !== 1) return 'modified';
+  return null;
+}
+
+export const STATUS_LETTERS = {
+  added: 'A',
+  modified: 'M',
+  deleted: 'D',
+  untracked: 'U',
+  conflicted: 'C'
+};
@@ -0,0 +1,193 @@
+// File System Access style handles backed by a LightningFS instance.
+// They implement the subset of FileSystemDirectoryHandle / FileSystemFileHandle
+// that Indextor uses, so projects living in the virtual filesystem (e.g. a
+// cloned repository) can be scanned, edited and saved like a picked folder.
+
+const MIME_TYPES = {
+  html: 'text/html',
+  css: 'text/css',
+  js: 'application/javascript',
+  json: 'application/json',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  ico: 'image/x-icon',
+  txt: 'text/plain',
+  md: 'text/markdown'
+};
+
+function joinPath(dir, name) {
+  return dir === '/' ? `/${name}` : `${dir}/${name}`;
+}
+
+function baseName(path) {
+  return path.split('/').filter(Boolean).pop() || '';
+}
+
+function toDOMException(err, name) {
+  if (err && err.code === 'ENOENT') return new DOMException(`${name} could not be found.`, 'NotFoundError');
+  if (err && err.code === 'ENOTDIR') return new DOMException(`${name} is not a directory.`, 'TypeMismatchError');
+  if (err && err.code === 'EISDIR') return new DOMException(`${name} is a directory.`, 'TypeMismatchError');
+  return err;
+}
+
+async function toBytes(data) {
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  if (data && data.type === 'write') return toBytes(data.data);
+  throw new TypeError('Unsupported data type for write()');
+}
+
+export async function removeRecursive(pfs, path) {
+  const stat = await pfs.stat(path);
+  if (stat.type !== 'dir') {
+    await pfs.unlink(path);
+    return;
+  }
+  for (const name of await pfs.readdir(path)) {
+    await removeRecursive(pfs, joinPath(path, name));
+  }
+  await pfs.rmdir(path);
+}
+
+export async function mkdirp(pfs, path) {
+  const parts = path.split('/').filter(Boolean);
+  let current = '';
+  for (const part of parts) {
+    current += `/${part}`;
+    try {
+      await pfs.mkdir(current);
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+  }
+}
+
+export function createFileHandle(pfs, path) {
+  const name = baseName(path);
+  return {
+    kind: 'file',
+    name,
+    path,
+
+    async getFile() {
+      let data;
+      let stat;
+      try {
+        stat = await pfs.stat(path);
+        data = await pfs.readFile(path);
+      } catch (err) {
+        throw toDOMException(err, name);
+      }
+      const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+      return new File([data], name, { type: MIME_TYPES[ext] || '', lastModified: stat.mtimeMs });
+    },
+
+    async createWritable() {
+      const chunks = [];
+      return {
+        async write(data) {
+          chunks.push(await toBytes(data));
+        },
+        async close() {
+          const size = chunks.reduce((total, chunk) => total + chunk.length, 0);
+          const bytes = new Uint8Array(size);
+          let offset = 0;
+          for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+          }
+          await pfs.writeFile(path, bytes);
+        },
+        async abort() {
+          chunks.length = 0;
+        }
+      };
+    },
+
+    async isSameEntry(other) {
+      return !!other && other.kind === 'file' && other.path === path;
+    }
+  };
+}
+
+export function createDirectoryHandle(pfs, path, displayName) {
+  const name = displayName || baseName(path);
+  return {
+    kind: 'directory',
+    name,
+    path,
+
+    async *values() {
+      let names;
+      try {
+        names = await pfs.readdir(path);
+      } catch (err) {
+        throw toDOMException(err, name);
+      }
+      for (const childName of names) {
+        const childPath = joinPath(path, childName);
+        const stat = await pfs.stat(childPath);
+        yield stat.type === 'dir' ? createDirectoryHandle(pfs, childPath) : createFileHandle(pfs, childPath);
+      }
+    },
+
+    async *entries() {
+      for await (const handle of this.values()) yield [handle.name, handle];
+    },
+
+    async *keys() {
+      for await (const handle of this.values()) yield handle.name;
+    },
+
+    async getDirectoryHandle(childName, options = {}) {
+      const childPath = joinPath(path, childName);
+      try {
+        const stat = await pfs.stat(childPath);
+        if (stat.type !== 'dir') throw new DOMException(`${childName} is not a directory.`, 'TypeMismatchError');
+      } catch (err) {
+        if (err.code !== 'ENOENT' || !options.create) throw toDOMException(err, childName);
+        await pfs.mkdir(childPath);
+      }
+      return createDirectoryHandle(pfs, childPath);
+    },
+
+    async getFileHandle(childName, options = {}) {
+      const childPath = joinPath(path, childName);
+      try {
+        const stat = await pfs.stat(childPath);
+        if (stat.type === 'dir') throw new DOMException(`${childName} is a directory.`, 'TypeMismatchError');
+      } catch (err) {
+        if (err.code !== 'ENOENT' || !options.create) throw toDOMException(err, childName);
+        await pfs.writeFile(childPath, new Uint8Array(0));
+      }
+      return createFileHandle(pfs, childPath);
+    },
+
+    async removeEntry(childName, options = {}) {
+      const childPath = joinPath(path, childName);
+      try {
+        const stat = await pfs.stat(childPath);
+        if (stat.type === 'dir') {
+          if (!options.recursive && (await pfs.readdir(childPath)).length > 0) {
+            throw new DOMException(`${childName} is not empty.`, 'InvalidModificationError');
+          }
+          await removeRecursive(pfs, childPath);
+        } else {
+          await pfs.unlink(childPath);
+        }
+      } catch (err) {
+        throw toDOMException(err, childName);
+      }
+    },
+
+    async isSameEntry(other) {
+      return !!other && other.kind === 'directory' && other.path === path;
+    }
+  };
+}
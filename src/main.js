@@ -9,6 +9,7 @@ import { oneDark } from "@codemirror/theme-one-dark";
 import { autocompletion, closeBrackets, completionKeymap, closeBracketsKeymap, snippet } from "@codemirror/autocomplete";
 import { bracketMatching, foldGutter, foldKeymap, indentOnInput, syntaxHighlighting, defaultHighlightStyle, LanguageDescription } from "@codemirror/language";
 import { searchKeymap, highlightSelectionMatches } from "@codemirror/search";
+import { MergeView, unifiedMergeView } from "@codemirror/merge";
 import { python } from "@codemirror/lang-python";
 import { java } from "@codemirror/lang-java";
 import { cpp } from "@codemirror/lang-cpp";
@@ -25,6 +26,21 @@ import { swift } from "@codemirror/legacy-modes/mode/swift";
 import git from "isomorphic-git";
 import http from "isomorphic-git/http/web";
 import LightningFS from "@isomorphic-git/lightning-fs";
+import { removeRecursive, mkdirp } from "./lightning-handles.js";
+import { mirrorFolderToFs, mirrorFsToFolder, loadSnapshot, saveSnapshot, pruneMirror } from "./fs-bridge.js";
+import { splitLines, buildHunks, applyHunk, revertHunk, formatHunkHeader } from "./diff.js";
+import { classifyStatusRow, treeStatusFromRow, STATUS_LETTERS } from "./git-status.js";
+import { gitChangeGutter, setGitBaseline } from "./git-gutter.js";
+import { blameLines, blameGutter, setBlame } from "./git-blame.js";
+import { parseConflicts, hasConflictMarkers, resolveConflicts, conflictSideText, conflictMarkers } from "./merge-conflicts.js";
+import { ExcludeRules, DEFAULT_EXCLUDES } from "./exclude-rules.js";
+import { trashHandle, listTrash, getTrashItem, purgeTrashItem, emptyTrash, purgeSessionTrash, writeTrashItem, exceedsTrashLimit, TRASH_LIMIT } from "./trash.js";
+import { FileWatcher } from "./file-watcher.js";
+import { listRecentWorkspaces, getWorkspace, findWorkspace, forgetWorkspace, registerWorkspace, saveWorkspaceSession, ensurePermission } from "./workspaces.js";
+import { createOpfsProvider, createLightningProvider } from "./storage-providers.js";
+import { readZip, createZip, writeFilesToDirectory, getFolderPaths, getExistingEntry } from "./zip.js";
+import { fuzzyMatch, splitLineSuffix } from "./fuzzy-match.js";
+import { isFileDrag, getDroppedEntries, itemFromEntry, itemFromHandle, itemsFromFiles, getItemPaths, countFiles, writeImportItem } from "./file-import.js";
 
 // --- Custom Extensions ---
 
@@ -96,6 +112,12 @@ function htmlAttributeCompletions(context) {
 const fs = new LightningFS("indextor-fs");
 const pf = fs.promises;
 const GIT_DIR = "/repo"; // Virtual path in LightningFS
+const MIRRORS_DIR = `${GIT_DIR}/.mirrors`; // Copies of opened folders for git to work on
+
+// Where projects without a folder on disk can live
+const storageProviders = [createOpfsProvider(), createLightningProvider(pf, GIT_DIR)]
+  .filter(provider => provider.isAvailable());
+const canPickFolders = 'showDirectoryPicker' in window;
 
 // State
 let rootHandle = null;
@@ -103,13 +125,42 @@ let currentFileHandle = null;
 let openTabs = []; // Array of paths
 let fileHandles = new Map(); // path -> handle
 let fileContent = new Map(); // path -> content
+let diskState = new Map(); // path -> { lastModified, size, content } as last read from or written to disk
+let externallyChanged = new Set(); // Paths with unsaved edits whose file was changed by another program
+let fileWatcher = null;
+let currentWorkspace = null; // Recent-projects entry of the open project
+let projectId = null; // Keys the open project's trash: its recent-projects id, which two folders of the same name don't share
+let editorPositions = new Map(); // path -> { anchor, head, scrollTop } of files switched away from
+let recentFiles = []; // Paths of opened files, most recent first, for Quick Open
+let sessionSaveTimer = null;
+let restoringSession = false;
 let editor = null;
 let isDarkMode = true;
 let currentMode = 'editor'; // split, editor, preview
 let creatingNewItem = null; // { type: 'file' | 'folder', parentNode: node }
 let renamingItem = null;
+let draggedNode = null; // Explorer node being dragged to another folder
+let selectedPaths = new Set(); // Explorer multi-selection
+let selectionAnchor = null; // Path Shift-click ranges start from
+let fileClipboard = null; // { mode: 'copy' | 'cut', paths }
 let currentPreviewFile = 'index.html';
 let searchQuery = '';
+let excludeRules = new ExcludeRules(JSON.parse(localStorage.getItem('indextor-exclude-patterns') || 'null') || DEFAULT_EXCLUDES);
+let showExcluded = localStorage.getItem('indextor-show-excluded') === 'true';
+let projectScan = null; // { withContents, cancelled, files, promise } while the whole project is being read
+let gitRepoDir = null; // LightningFS working directory of the open repository, if any
+let gitBridge = null; // { handle, dir, snapshot } while an opened folder is mirrored into LightningFS
+let gitBridgeQueue = Promise.resolve();
+let activeSidebarView = 'explorer-view';
+let expandedScmEntries = new Set(); // 'staged:path' / 'unstaged:path' keys showing their hunks
+let diffTabs = new Map(); // tab key -> { left, right } diff sources
+let activeDiffKey = null;
+let diffView = null; // MergeView or EditorView showing the active diff
+let diffLayout = localStorage.getItem('indextor-diff-layout') || 'split'; // split, unified
+let compareSelection = null; // Project file picked with "Select for Compare"
+let blameEnabled = false;
+let treeStatus = new Map(); // path -> 'modified' | 'added' | 'untracked' | 'ignored' | 'conflicted'
+let folderStatus = new Map(); // folder path -> 'changed' | 'ignored'
 
 // DOM Elements
 const editorHost = document.getElementById("editor-host");
@@ -132,6 +183,9 @@ async function init() {
     await pf.mkdir(GIT_DIR);
   } catch (e) { }
 
+  // No session reuses the trash of an earlier one's unlisted project
+  purgeSessionTrash().catch(err => console.error("Error clearing old trash items:", err));
+
   // Register Preview Service Worker
   if ('serviceWorker' in navigator) {
     try {
@@ -141,21 +195,46 @@ async function init() {
       console.error('Service Worker registration failed:', err);
     }
   }
+
+  await restoreLastWorkspace();
+  window.addEventListener('pagehide', saveSessionNow);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveSessionNow();
+  });
 }
 
 function showWelcomeScreen() {
+  destroyDiffView();
   editorHost.innerHTML = `
     <div class="welcome-screen">
       <img src="./logo.png" alt="Indextor Logo" class="welcome-logo" />
       <h1 class="welcome-title">Welcome to Indextor</h1>
       <p class="welcome-subtitle">Open a folder to start building your next project with beauty and speed.</p>
-      <button class="btn btn-primary" id="welcome-open-btn" style="padding: 12px 24px; font-size: 1rem;">
-        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg>
-        Open Folder
-      </button>
+      <div class="welcome-actions">
+        <button class="btn btn-primary" id="welcome-open-btn" style="padding: 12px 24px; font-size: 1rem;">
+          <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg>
+          Open Folder
+        </button>
+        <button class="btn btn-secondary" id="welcome-projects-btn" style="padding: 12px 24px; font-size: 1rem;">
+          <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"></path><polyline points="13 2 13 9 20 9"></polyline><line x1="12" y1="18" x2="12" y2="12"></line><line x1="9" y1="15" x2="15" y2="15"></line></svg>
+          New Project
+        </button>
+        <button class="btn btn-secondary" id="welcome-clone-btn" style="padding: 12px 24px; font-size: 1rem;">
+          <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="18" r="3"></circle><circle cx="6" cy="6" r="3"></circle><path d="M6 21V9a9 9 0 0 0 9 9"></path></svg>
+          Clone Repository
+        </button>
+      </div>
+      <div class="welcome-recent hidden" id="welcome-recent">
+        <h2 class="welcome-recent-title">Recent Projects</h2>
+        <div class="welcome-recent-list"></div>
+      </div>
     </div>
   `;
   document.getElementById('welcome-open-btn').addEventListener('click', openFolder);
+  document.getElementById('welcome-open-btn').classList.toggle('hidden', !canPickFolders);
+  document.getElementById('welcome-projects-btn').addEventListener('click', showProjectsDialog);
+  document.getElementById('welcome-clone-btn').addEventListener('click', cloneRepository);
+  renderRecentWorkspaces();
 
   // Clear the label
   document.getElementById('current-file-label').textContent = 'No file open';
@@ -186,6 +265,9 @@ async function initEditor(content = "", langExt = html()) {
         override: langExt === html() ? [htmlAttributeCompletions] : null
       }),
       highlightSelectionMatches(),
+      blameGutter(openBlameCommit),
+      gitChangeGutter(),
+      conflictMarkers(),
       themeRef.of(isDarkMode ? oneDark : EditorView.theme({}, { dark: false })),
       EditorView.updateListener.of((update) => {
         if (update.docChanged) {
@@ -194,6 +276,7 @@ async function initEditor(content = "", langExt = html()) {
             if (path) fileContent.set(path, update.state.doc.toString());
           }
         }
+        if (update.selectionSet) scheduleSessionSave();
       })
     ]
   });
@@ -227,33 +310,74 @@ function applyTheme() {
 
 function setupEventListeners() {
   document.getElementById('folder-btn').addEventListener('click', openFolder);
+  document.getElementById('folder-btn').classList.toggle('hidden', !canPickFolders);
+  document.getElementById('projects-btn').addEventListener('click', showProjectsDialog);
+  document.getElementById('clone-btn').addEventListener('click', cloneRepository);
+  document.getElementById('branch-btn').addEventListener('click', showBranchMenu);
 
   // Theme toggle removed as requested
 
   document.getElementById('view-toggle-btn').addEventListener('click', toggleViewMode);
   document.getElementById('refresh-preview').addEventListener('click', updatePreview);
   document.getElementById('save-btn').addEventListener('click', saveCurrentFile);
+  document.getElementById('blame-btn').addEventListener('click', toggleBlame);
 
-  // Keyboard shortcut for save
+  // Keyboard shortcuts for save and Quick Open
   document.addEventListener('keydown', (e) => {
     if ((e.metaKey || e.ctrlKey) && e.key === 's') {
       e.preventDefault();
       saveCurrentFile();
     }
+    if ((e.metaKey || e.ctrlKey) && !e.shiftKey && !e.altKey && (e.key === 'p' || e.key === 'P')) {
+      e.preventDefault();
+      showQuickOpen();
+    }
   });
 
+  // Sidebar view switcher
+  document.querySelectorAll('.sidebar-tab').forEach(tab => {
+    tab.addEventListener('click', () => showSidebarView(tab.dataset.view));
+  });
+
+  setupSourceControl();
+  setupHistoryView();
+  document.getElementById('trash-empty-btn').addEventListener('click', emptyProjectTrash);
+
   // Search functionality
+  document.getElementById('scan-cancel-btn').addEventListener('click', cancelProjectScan);
+  setupTreeDropTarget();
+  setupTreeShortcuts();
+  document.getElementById('toggle-excluded-btn').addEventListener('click', toggleShowExcluded);
+  document.getElementById('exclude-settings-btn').addEventListener('click', showExcludePatternsDialog);
+  document.getElementById('toggle-excluded-btn').classList.toggle('active', showExcluded);
+
   const searchInput = document.getElementById('sidebar-search');
   if (searchInput) {
     searchInput.addEventListener('input', (e) => {
       searchQuery = e.target.value.toLowerCase();
       renderFileTree();
+      // Matches may sit in folders that haven't been listed yet
+      if (searchQuery) loadWholeProject().then(() => renderFileTree());
     });
   }
 }
 
 // --- Sidebar Logic ---
 
+function showSidebarView(viewId) {
+  activeSidebarView = viewId;
+  document.querySelectorAll('.sidebar-view').forEach(view => {
+    view.classList.toggle('hidden', view.id !== viewId);
+  });
+  document.querySelectorAll('.sidebar-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.view === viewId);
+  });
+
+  if (viewId === 'scm-view') return refreshSourceControl();
+  if (viewId === 'history-view') return loadHistory();
+  if (viewId === 'trash-view') return refreshTrashView();
+}
+
 // Resizable Sidebar
 const resizer = document.getElementById('sidebar-resizer');
 let isResizing = false;
@@ -275,6 +399,7 @@ document.addEventListener('mousemove', (e) => {
 });
 
 document.addEventListener('mouseup', () => {
+  if (isResizing) scheduleSessionSave();
   isResizing = false;
   resizer.classList.remove('resizing');
   document.body.style.cursor = 'default';
@@ -323,120 +448,353 @@ let fileTree = { children: new Map(), name: 'root', path: '', kind: 'directory'
 async function openFolder() {
   try {
     const handle = await window.showDirectoryPicker();
-    rootHandle = handle;
-
-    // Reset state
-    fileHandles.clear();
-    fileContent.clear();
-    openTabs = [];
-    fileTree = { children: new Map(), name: handle.name, path: '', kind: 'directory' };
+    const workspace = await rememberWorkspace({ kind: 'folder', name: handle.name, handle });
+    await attachGitBridge(handle, workspace);
+    await openProject(handle, workspace);
+  } catch (err) {
+    if (err.name !== 'AbortError') console.error("Error opening folder:", err);
+  }
+}
 
-    fileListEl.innerHTML = '';
+// Shared by the folder picker and the virtual (LightningFS) workspaces.
+// `workspace` is the project's recent-projects entry, whose session is
+// restored.
+async function openProject(handle, workspace = null) {
+  await saveSessionNow();
+  rootHandle = handle;
+  currentWorkspace = workspace;
+  // Without a recent-projects entry the trash only lasts for this session
+  projectId = workspace ? workspace.id : `session:${Date.now()}`;
+
+  // Reset state
+  fileHandles.clear();
+  fileContent.clear();
+  diskState.clear();
+  externallyChanged.clear();
+  openTabs = [];
+  diffTabs.clear();
+  currentFileHandle = null;
+  fileTree = { children: new Map(), name: handle.name, path: '', kind: 'directory', handle, loaded: false };
+  excludeRules.clear();
+  selectedPaths.clear();
+  selectionAnchor = null;
+  fileClipboard = null;
+  editorPositions.clear();
+  recentFiles = [];
 
-    await scanDirectory(rootHandle, fileTree);
-    renderFileTree();
+  fileListEl.innerHTML = '';
 
-    // Update Explorer Header
-    document.querySelector('#explorer-view .sidebar-title').textContent = handle.name.toUpperCase();
+  await scanDirectory(rootHandle, fileTree);
+  renderFileTree();
+  startFileWatcher(handle);
 
+  // Update Explorer Header
+  document.querySelector('#explorer-view .sidebar-title').textContent = handle.name.toUpperCase();
 
+  if (workspace && workspace.session) {
+    await restoreSession(workspace.session);
+  } else if (fileHandles.has('index.html')) {
     // Default open index.html
-    if (fileHandles.has('index.html')) {
-      await loadFile('index.html');
+    await loadFile('index.html');
+  } else {
+    showWelcomeScreen();
+  }
+
+  refreshSourceControl();
+  resetHistory();
+  refreshTrashView();
+}
+
+function collectOpenFolders(node, paths = new Set()) {
+  for (const child of node.children.values()) {
+    if (child.kind === 'directory' && child.isOpen) {
+      paths.add(child.path);
+      collectOpenFolders(child, paths);
+    }
+  }
+  return paths;
+}
+
+async function restoreOpenFolders(node, paths) {
+  for (const child of node.children.values()) {
+    if (child.kind === 'directory' && paths.has(child.path)) {
+      child.isOpen = true;
+      await ensureDirectoryLoaded(child);
+      await restoreOpenFolders(child, paths);
     }
+  }
+}
 
-  } catch (err) {
-    if (err.name !== 'AbortError') console.error("Error opening folder:", err);
+// Re-reads the whole project after git rewrote the working tree (pull,
+// checkout...), keeping expanded folders and the tabs whose files still exist
+async function reloadProjectFiles() {
+  if (!rootHandle) return;
+
+  const activePath = getActiveTabKey();
+  const openFolders = collectOpenFolders(fileTree);
+
+  fileHandles.clear();
+  fileContent.clear();
+  diskState.clear();
+  externallyChanged.clear();
+  fileTree = { children: new Map(), name: rootHandle.name, path: '', kind: 'directory', handle: rootHandle, loaded: false };
+  excludeRules.clear();
+  await scanDirectory(rootHandle, fileTree);
+  await restoreOpenFolders(fileTree, openFolders);
+  renderFileTree();
+
+  for (const path of openTabs) await ensurePathLoaded(path);
+  openTabs = openTabs.filter(path => fileHandles.has(path) || diffTabs.has(path));
+  currentFileHandle = null;
+  if (activePath && openTabs.includes(activePath)) {
+    await loadFile(activePath);
+  } else if (openTabs.length > 0) {
+    await loadFile(openTabs[0]);
+  } else {
+    renderTabs();
+    showWelcomeScreen();
   }
 }
 
+// Lists a single directory level. Folders below are listed when they are
+// expanded and file contents are read when they are needed.
 async function scanDirectory(dirHandle, treeNode) {
+  const entries = [];
   for await (const entry of dirHandle.values()) {
-    const relativePath = treeNode.path ? `${treeNode.path}/${entry.name}` : entry.name;
-
-    const node = {
-      name: entry.name,
-      path: relativePath,
-      kind: entry.kind,
-      handle: entry,
-      children: new Map(),
-      isOpen: false // Directory state
-    };
+    // Git metadata is managed through isomorphic-git, never edited directly
+    if (entry.kind === 'directory' && entry.name === '.git') continue;
+    entries.push(entry);
+  }
 
-    treeNode.children.set(entry.name, node);
+  // The folder's .gitignore decides which of its entries are excluded
+  const gitignore = entries.find(entry => entry.kind === 'file' && entry.name === '.gitignore');
+  if (gitignore) excludeRules.setGitignore(treeNode.path, await (await gitignore.getFile()).text());
 
-    if (entry.kind === 'file') {
-      fileHandles.set(relativePath, entry);
-      // Lazy load content
-      const file = await entry.getFile();
-      if (isTextFile(entry.name)) {
-        const text = await file.text();
-        fileContent.set(relativePath, text);
+  entries.forEach(entry => addTreeEntry(treeNode, entry));
+  treeNode.loaded = true;
+}
+
+async function ensureDirectoryLoaded(node) {
+  if (node.loaded) return;
+  if (!node.loading) {
+    node.loading = scanDirectory(node.handle, node).finally(() => {
+      node.loading = null;
+    });
+  }
+  await node.loading;
+}
+
+// Lists the folders leading to `path` so its handle is known
+async function ensurePathLoaded(path) {
+  let node = fileTree;
+  for (const part of getParentPath(path).split('/').filter(Boolean)) {
+    await ensureDirectoryLoaded(node);
+    node = node.children.get(part);
+    if (!node || node.kind !== 'directory') return;
+  }
+  await ensureDirectoryLoaded(node);
+}
+
+// Adds a directory entry below `parentNode`, replacing any node of the same
+// name. Folders start out unlisted.
+function addTreeEntry(parentNode, entry) {
+  const relativePath = parentNode.path ? `${parentNode.path}/${entry.name}` : entry.name;
+
+  const node = {
+    name: entry.name,
+    path: relativePath,
+    kind: entry.kind,
+    handle: entry,
+    children: new Map(),
+    isOpen: false, // Directory state
+    loaded: false,
+    excluded: excludeRules.isExcluded(relativePath, entry.kind)
+  };
+
+  parentNode.children.set(entry.name, node);
+  if (entry.kind === 'file') fileHandles.set(relativePath, entry);
+  return node;
+}
+
+// Drops a node and everything below it from the tree and the project maps
+function removeTreeEntry(node) {
+  const parentNode = getTreeNode(getParentPath(node.path));
+  if (parentNode && parentNode.children.get(node.name) === node) {
+    parentNode.children.delete(node.name);
+  }
+  for (const path of Array.from(fileHandles.keys())) {
+    if (isSameOrInside(path, node.path)) fileHandles.delete(path);
+  }
+  for (const path of Array.from(fileContent.keys())) {
+    if (isSameOrInside(path, node.path)) fileContent.delete(path);
+  }
+  for (const path of Array.from(diskState.keys())) {
+    if (isSameOrInside(path, node.path)) diskState.delete(path);
+  }
+}
+
+function getTreeNode(path) {
+  let node = fileTree;
+  for (const part of path.split('/').filter(Boolean)) {
+    node = node.children.get(part);
+    if (!node) return null;
+  }
+  return node;
+}
+
+function getParentPath(path) {
+  return path.substring(0, Math.max(path.lastIndexOf('/'), 0));
+}
+
+function isSameOrInside(path, folderPath) {
+  return path === folderPath || path.startsWith(folderPath + '/');
+}
+
+// Lists every folder not listed yet (and with `withContents` reads every
+// file), showing progress in the explorer. Resolves to false when the user
+// cancelled; whatever was read until then is kept.
+function loadWholeProject(withContents = false) {
+  if (projectScan && (projectScan.withContents || !withContents)) return projectScan.promise;
+
+  // A listing-only scan still running is finished first
+  const previousScan = projectScan;
+  const previous = previousScan ? previousScan.promise : Promise.resolve();
+  const scan = { withContents, cancelled: false, files: 0, previousScan };
+  projectScan = scan;
+  showScanProgress(scan);
+
+  const walk = async (node) => {
+    await ensureDirectoryLoaded(node);
+    for (const child of Array.from(node.children.values())) {
+      if (scan.cancelled) return;
+      if (child.excluded) continue;
+      if (child.kind === 'directory') {
+        await walk(child);
       } else {
-        const buffer = await file.arrayBuffer();
-        fileContent.set(relativePath, buffer);
+        if (withContents) await readFileContent(child.path);
+        scan.files++;
+        if (scan.files % 50 === 0) showScanProgress(scan);
       }
-    } else if (entry.kind === 'directory') {
-      await scanDirectory(entry, node);
     }
+  };
+
+  scan.promise = previous.then(() => walk(fileTree)).then(() => !scan.cancelled).finally(() => {
+    if (projectScan === scan) {
+      projectScan = null;
+      document.getElementById('scan-progress').classList.add('hidden');
+    }
+  });
+  return scan.promise;
+}
+
+function showScanProgress(scan) {
+  const progressEl = document.getElementById('scan-progress');
+  progressEl.classList.remove('hidden');
+  progressEl.querySelector('.git-progress-label').textContent = scan.files
+    ? `${scan.withContents ? 'Reading' : 'Scanning'} project (${scan.files} files)`
+    : `${scan.withContents ? 'Reading' : 'Scanning'} project...`;
+}
+
+function cancelProjectScan() {
+  for (let scan = projectScan; scan; scan = scan.previousScan) {
+    scan.cancelled = true;
   }
 }
 
-function renderFileTree() {
-  fileListEl.innerHTML = '';
+// --- Excluded Files ---
 
-  // If creating a new item, show inline input at the top
-  if (creatingNewItem) {
-    const inputContainer = document.createElement('div');
-    inputContainer.className = 'file-item inline-input-container';
-    inputContainer.style.paddingLeft = '0px';
+function updateExcludedFlags(node = fileTree) {
+  for (const child of node.children.values()) {
+    child.excluded = excludeRules.isExcluded(child.path, child.kind);
+    if (child.kind === 'directory') updateExcludedFlags(child);
+  }
+}
 
-    const icon = document.createElement('div');
-    icon.className = 'icon-box';
-    icon.innerHTML = creatingNewItem.type === 'folder' ? `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="color: #64748b;"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg>` : '📄';
+// Re-reads the rules of any .gitignore among `paths` after it was written,
+// created, renamed or deleted
+async function updateGitignoreRules(paths) {
+  const folders = paths.filter(path => path.split('/').pop() === '.gitignore').map(getParentPath);
+  if (folders.length === 0) return;
 
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.className = 'inline-name-input';
-    input.placeholder = creatingNewItem.type === 'folder' ? 'Folder name...' : 'File name...';
-    input.autocomplete = 'off';
+  for (const folder of folders) {
+    const node = getTreeNode(folder ? `${folder}/.gitignore` : '.gitignore');
+    const text = node && node.kind === 'file' ? await (await node.handle.getFile()).text() : null;
+    excludeRules.setGitignore(folder, text);
+  }
+  updateExcludedFlags();
+  renderFileTree();
+}
 
-    inputContainer.appendChild(icon);
-    inputContainer.appendChild(input);
-    fileListEl.appendChild(inputContainer);
+function toggleShowExcluded() {
+  showExcluded = !showExcluded;
+  localStorage.setItem('indextor-show-excluded', showExcluded);
+  document.getElementById('toggle-excluded-btn').classList.toggle('active', showExcluded);
+  renderFileTree();
+}
 
-    // Focus the input
-    setTimeout(() => input.focus(), 0);
+function showExcludePatternsDialog() {
+  const modalOverlay = document.createElement('div');
+  modalOverlay.className = 'modal-overlay';
 
-    // Handle input submission
-    input.addEventListener('keydown', async (e) => {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        const name = input.value.trim();
-        if (name) {
-          if (creatingNewItem.type === 'file') {
-            await finalizeCreateFile(name, creatingNewItem.parentNode);
-          } else {
-            await finalizeCreateFolder(name, creatingNewItem.parentNode);
-          }
-        } else {
-          creatingNewItem = null;
-          renderFileTree();
-        }
-      } else if (e.key === 'Escape') {
-        e.preventDefault();
-        creatingNewItem = null;
-        renderFileTree();
-      }
-    });
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content fade-in';
+  modalContent.innerHTML = `
+    <div class="modal-header">
+      <h3>Exclude Patterns</h3>
+      <button class="icon-btn" id="modal-close">×</button>
+    </div>
+    <form class="modal-body modal-form" id="exclude-form">
+      <label class="form-field">
+        <span>One pattern per line, in .gitignore syntax</span>
+        <textarea name="patterns" rows="8" spellcheck="false"></textarea>
+      </label>
+      <p class="modal-text">The project's .gitignore files are applied too. Excluded files are hidden from the explorer, the preview and search.</p>
+      <div class="modal-actions">
+        <button type="button" class="btn btn-secondary" id="exclude-reset">Reset to Defaults</button>
+        <button type="button" class="btn btn-secondary" id="exclude-cancel">Cancel</button>
+        <button type="submit" class="btn btn-primary">Save</button>
+      </div>
+    </form>
+  `;
+  modalOverlay.appendChild(modalContent);
+  document.body.appendChild(modalOverlay);
 
-    // Handle blur (click outside)
-    input.addEventListener('blur', () => {
-      setTimeout(() => {
-        creatingNewItem = null;
-        renderFileTree();
-      }, 200);
-    });
+  const form = modalContent.querySelector('#exclude-form');
+  form.elements.patterns.value = excludeRules.patterns.join('\n');
+  setTimeout(() => form.elements.patterns.focus(), 0);
+
+  const closeModal = () => modalOverlay.remove();
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    const patterns = form.elements.patterns.value.split('\n').map(line => line.trim()).filter(Boolean);
+    localStorage.setItem('indextor-exclude-patterns', JSON.stringify(patterns));
+    excludeRules.setPatterns(patterns);
+    updateExcludedFlags();
+    renderFileTree();
+    closeModal();
+  };
+  modalContent.querySelector('#exclude-reset').onclick = () => {
+    form.elements.patterns.value = DEFAULT_EXCLUDES.join('\n');
+  };
+  modalContent.querySelector('#modal-close').onclick = closeModal;
+  modalContent.querySelector('#exclude-cancel').onclick = closeModal;
+  modalOverlay.onclick = (e) => { if (e.target === modalOverlay) closeModal(); };
+}
+
+async function getDirectoryHandleAt(path) {
+  let handle = rootHandle;
+  for (const part of path.split('/').filter(Boolean)) {
+    handle = await handle.getDirectoryHandle(part);
+  }
+  return handle;
+}
+
+function renderFileTree() {
+  fileListEl.innerHTML = '';
+
+  // If creating a new item at the root, show inline input at the top
+  if (creatingNewItem && creatingNewItem.parentNode === fileTree) {
+    fileListEl.appendChild(createInlineInput(0));
   }
 
   // Sort: Directories first, then files
@@ -459,8 +817,98 @@ function renderFileTree() {
   }
 }
 
+function setDropTarget(el) {
+  document.querySelectorAll('.drop-target').forEach(target => {
+    if (target !== el) target.classList.remove('drop-target');
+  });
+  if (el) el.classList.add('drop-target');
+}
+
+// Drops on empty space in the explorer move (or, from the computer, import)
+// to the project root
+function setupTreeDropTarget() {
+  fileListEl.addEventListener('dragover', (e) => {
+    if (!draggedNode && !isFileDrag(e.dataTransfer)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = draggedNode ? 'move' : 'copy';
+    setDropTarget(fileListEl);
+  });
+  fileListEl.addEventListener('dragleave', (e) => {
+    if (!fileListEl.contains(e.relatedTarget)) setDropTarget(null);
+  });
+  fileListEl.addEventListener('drop', (e) => {
+    if (!draggedNode && !isFileDrag(e.dataTransfer)) return;
+    e.preventDefault();
+    setDropTarget(null);
+    if (!draggedNode) {
+      importDroppedEntries(getDroppedEntries(e.dataTransfer), fileTree);
+      return;
+    }
+    const moved = draggedNode;
+    draggedNode = null;
+    moveToFolder(moved, fileTree);
+  });
+}
+
+// Inline name input for the item being created, indented for `level`
+function createInlineInput(level) {
+  const inputContainer = document.createElement('div');
+  inputContainer.className = 'file-item inline-input-container';
+  inputContainer.style.marginLeft = `${level * 12}px`;
+
+  const icon = document.createElement('div');
+  icon.className = 'icon-box';
+  icon.innerHTML = creatingNewItem.type === 'folder' ? `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="color: #64748b;"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg>` : '📄';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'inline-name-input';
+  input.placeholder = creatingNewItem.type === 'folder' ? 'Folder name...' : 'File name...';
+  input.autocomplete = 'off';
+
+  inputContainer.appendChild(icon);
+  inputContainer.appendChild(input);
+
+  // Focus the input
+  setTimeout(() => input.focus(), 0);
+
+  // Handle input submission
+  input.addEventListener('keydown', async (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const name = input.value.trim();
+      if (name) {
+        if (creatingNewItem.type === 'file') {
+          await finalizeCreateFile(name, creatingNewItem.parentNode);
+        } else {
+          await finalizeCreateFolder(name, creatingNewItem.parentNode);
+        }
+      } else {
+        creatingNewItem = null;
+        renderFileTree();
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      creatingNewItem = null;
+      renderFileTree();
+    }
+  });
+
+  // Handle blur (click outside)
+  input.addEventListener('blur', () => {
+    setTimeout(() => {
+      creatingNewItem = null;
+      renderFileTree();
+    }, 200);
+  });
+
+  return inputContainer;
+}
+
 function hasSearchMatch(node, query) {
   if (!query) return true;
+  // Search never looks into excluded files, even while they are shown
+  if (node.excluded) return false;
   if (node.name.toLowerCase().includes(query)) return true;
   if (node.kind === 'directory') {
     for (const child of node.children.values()) {
@@ -475,6 +923,7 @@ function createTreeElement(node, level) {
   if (searchQuery && !hasSearchMatch(node, searchQuery)) {
     return null;
   }
+  if (node.excluded && !showExcluded) return null;
 
   const container = document.createElement('div');
   container.className = node.kind === 'directory' ? 'folder-container' : 'file-container';
@@ -482,6 +931,11 @@ function createTreeElement(node, level) {
   const item = document.createElement('div');
   item.className = 'file-item';
   item.style.paddingLeft = `${level * 12}px`; // indent
+  item.dataset.path = node.path;
+  item.dataset.kind = node.kind;
+  if (node.excluded) item.classList.add('excluded');
+  if (selectedPaths.has(node.path)) item.classList.add('selected');
+  if (fileClipboard && fileClipboard.mode === 'cut' && fileClipboard.paths.includes(node.path)) item.classList.add('cut');
 
   // If directory -> add id for open state
   const isActuallyOpen = node.isOpen || (searchQuery && hasSearchMatch(node, searchQuery));
@@ -548,19 +1002,40 @@ function createTreeElement(node, level) {
     };
   } else {
     const nameSpan = document.createElement('span');
+    nameSpan.className = 'file-item-name';
     nameSpan.textContent = node.name;
     content.appendChild(nameSpan);
   }
 
   item.appendChild(content);
+  decorateTreeItem(item);
 
   // Interaction
   item.onclick = async (e) => {
     e.stopPropagation();
+    if (e.ctrlKey || e.metaKey) {
+      toggleSelection(node.path);
+      return;
+    }
+    if (e.shiftKey && selectionAnchor) {
+      selectRange(node.path);
+      return;
+    }
+    selectOnly(node.path);
+
     if (node.kind === 'directory') {
       node.isOpen = !node.isOpen;
+      if (node.isOpen && !node.loaded) {
+        try {
+          await ensureDirectoryLoaded(node);
+        } catch (err) {
+          console.error("Error reading folder:", err);
+        }
+        updateTreeStatus([node.path]);
+      }
       // Re-render
       renderFileTree();
+      scheduleSessionSave();
     } else {
       document.querySelectorAll('.file-item').forEach(el => el.classList.remove('active'));
       item.classList.add('active');
@@ -575,6 +1050,46 @@ function createTreeElement(node, level) {
     showContextMenu(e.clientX, e.clientY, node);
   };
 
+  // Drag and drop moves, and imports what is dragged from the computer.
+  // Dropping on a file moves into the file's folder.
+  if (node !== renamingItem) {
+    item.draggable = true;
+    item.ondragstart = (e) => {
+      e.stopPropagation();
+      draggedNode = node;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', node.path);
+    };
+    item.ondragend = () => {
+      draggedNode = null;
+      setDropTarget(null);
+    };
+  }
+  const getDropTarget = () => node.kind === 'directory'
+    ? container
+    : container.parentElement.closest('.folder-container') || fileListEl;
+  item.ondragover = (e) => {
+    if (!draggedNode && !isFileDrag(e.dataTransfer)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = draggedNode ? 'move' : 'copy';
+    setDropTarget(getDropTarget());
+  };
+  item.ondrop = (e) => {
+    if (!draggedNode && !isFileDrag(e.dataTransfer)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTarget(null);
+    const destNode = node.kind === 'directory' ? node : getTreeNode(getParentPath(node.path));
+    if (!draggedNode) {
+      importDroppedEntries(getDroppedEntries(e.dataTransfer), destNode);
+      return;
+    }
+    const moved = draggedNode;
+    draggedNode = null;
+    moveToFolder(moved, destNode);
+  };
+
 
   if (node.kind === 'file' && currentFileHandle && getPathFromHandle(currentFileHandle) === node.path) {
     item.classList.add('active');
@@ -587,6 +1102,10 @@ function createTreeElement(node, level) {
     const childrenContainer = document.createElement('div');
     childrenContainer.className = 'folder-children';
 
+    if (creatingNewItem && creatingNewItem.parentNode === node) {
+      childrenContainer.appendChild(createInlineInput(level + 1));
+    }
+
     const sortedChildren = Array.from(node.children.values()).sort((a, b) => {
       if (a.kind === b.kind) return a.name.localeCompare(b.name);
       return a.kind === 'directory' ? -1 : 1;
@@ -605,11 +1124,22 @@ function createTreeElement(node, level) {
 
 // --- Editor Logic ---
 
-async function loadFile(path) {
+// Opens a file in the editor. With `preview`, as when Quick Open shows a
+// file, it isn't counted as recently opened.
+async function loadFile(path, { preview = false } = {}) {
+  if (diffTabs.has(path)) {
+    await showDiffTab(path);
+    return;
+  }
+
+  await ensurePathLoaded(path);
   const handle = fileHandles.get(path);
   if (!handle) return;
+  if (!preview) rememberRecentFile(path);
 
+  rememberEditorPosition();
   currentFileHandle = handle;
+  destroyDiffView();
 
   // Highlight in sidebar
   document.querySelectorAll('.file-item').forEach(el => el.classList.remove('active'));
@@ -655,14 +1185,50 @@ async function loadFile(path) {
   editorHost.style.display = 'block'; // Default
   editorHost.style.background = '';
 
-  let content = fileContent.get(path);
-  if (content === undefined) {
-    const file = await handle.getFile();
-    content = await file.text();
-    fileContent.set(path, content);
+  const content = await readFileContent(path);
+
+  // Initialize Editor
+  try {
+    await initEditor(content, getLanguageExtension(path));
+    restoreEditorPosition(path);
+    updateGitBaseline();
+    updateBlame();
+  } catch (e) {
+    console.error("Error loading editor:", e);
+    editorHost.innerHTML = `<div class="empty-state" style="color: red;">
+      <h3>Error loading file</h3>
+      <p>${e.message}</p>
+    </div>`;
   }
+}
+
+// Returns the buffer of a project file, reading it from disk the first time
+async function readFileContent(path) {
+  if (fileContent.has(path)) return fileContent.get(path);
+
+  const handle = fileHandles.get(path);
+  if (!handle) return undefined;
+  const file = await handle.getFile();
+  const content = isTextFile(path) ? await file.text() : await file.arrayBuffer();
+  fileContent.set(path, content);
+  diskState.set(path, { lastModified: file.lastModified, size: file.size, content });
+  return content;
+}
+
+// Writes a buffer to its file and remembers it as the disk version
+async function writeBufferToDisk(path) {
+  const handle = fileHandles.get(path);
+  const content = fileContent.get(path);
+  const writable = await handle.createWritable();
+  await writable.write(content);
+  await writable.close();
 
-  // Detect lang
+  const file = await handle.getFile();
+  diskState.set(path, { lastModified: file.lastModified, size: file.size, content });
+  externallyChanged.delete(path);
+}
+
+function getLanguageExtension(path) {
   let langExt = html();
   if (path.endsWith('.css')) langExt = css();
   if (path.endsWith('.js')) langExt = javascript();
@@ -680,18 +1246,7 @@ async function loadFile(path) {
   if (path.endsWith('.cs')) langExt = StreamLanguage.define(csharp);
   if (path.endsWith('.kt')) langExt = StreamLanguage.define(kotlin);
   if (path.endsWith('.swift')) langExt = StreamLanguage.define(swift);
-
-
-  // Initialize Editor
-  try {
-    await initEditor(content, langExt);
-  } catch (e) {
-    console.error("Error loading editor:", e);
-    editorHost.innerHTML = `<div class="empty-state" style="color: red;">
-      <h3>Error loading file</h3>
-      <p>${e.message}</p>
-    </div>`;
-  }
+  return langExt;
 }
 
 function getPathFromHandle(handle) {
@@ -756,17 +1311,21 @@ function renderTabs() {
   if (!tabsContainer) return;
 
   tabsContainer.innerHTML = '';
+  const activeTab = getActiveTabKey();
   openTabs.forEach(path => {
-    const fileName = path.split('/').pop();
+    const diff = diffTabs.get(path);
+    const fileName = diff ? getDiffTitle(diff) : path.split('/').pop();
     const tabEl = document.createElement('div');
-    const isActive = currentFileHandle && getPathFromHandle(currentFileHandle) === path;
+    const isActive = activeTab === path;
     tabEl.className = `tab ${isActive ? 'active' : ''}`;
 
     tabEl.innerHTML = `
-      <div class="tab-icon">${getIconForFile(fileName, 'file')}</div>
-      <span class="tab-name" title="${path}">${fileName}</span>
+      <div class="tab-icon">${getIconForFile(diff ? (diff.conflict || diff.right.path) : fileName, 'file')}</div>
+      <span class="tab-name"></span>
       <div class="tab-close" title="Close Tab">×</div>
     `;
+    tabEl.querySelector('.tab-name').textContent = fileName;
+    tabEl.querySelector('.tab-name').title = diff ? getDiffDescription(diff) : path;
 
     tabEl.onclick = () => loadFile(path);
     tabEl.querySelector('.tab-close').onclick = (e) => {
@@ -781,18 +1340,23 @@ function renderTabs() {
       tabEl.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'nearest' });
     }
   });
+  scheduleSessionSave();
 }
 
 async function closeTab(path) {
   const index = openTabs.indexOf(path);
   if (index === -1) return;
 
+  const wasActive = getActiveTabKey() === path;
   openTabs.splice(index, 1);
+  diffTabs.delete(path);
 
   if (openTabs.length === 0) {
     currentFileHandle = null;
+    activeDiffKey = null;
     showWelcomeScreen();
-  } else if (currentFileHandle && getPathFromHandle(currentFileHandle) === path) {
+    renderTabs();
+  } else if (wasActive) {
     // Open the next available tab
     const nextPath = openTabs[Math.min(index, openTabs.length - 1)];
     await loadFile(nextPath);
@@ -801,45 +1365,372 @@ async function closeTab(path) {
   }
 }
 
-// --- Editor Actions ---
-
-async function saveCurrentFile() {
-  if (!currentFileHandle) return;
-  const path = getPathFromHandle(currentFileHandle);
-  if (!path) return;
+function getActiveTabKey() {
+  if (activeDiffKey) return activeDiffKey;
+  return currentFileHandle ? getPathFromHandle(currentFileHandle) : null;
+}
 
-  const content = fileContent.get(path);
-  if (content === undefined) return;
+// --- Diff Viewer ---
 
-  try {
-    const writable = await currentFileHandle.createWritable();
-    await writable.write(content);
-    await writable.close();
+// A diff source is { kind: 'workdir' | 'index' | 'commit' | 'file' | 'none', path, ref?, label? }
+// where 'commit' reads the file at `ref` (a commit oid or 'HEAD') and 'none'
+// stands for a file that doesn't exist yet (e.g. before a root commit)
 
-    // Show feedback
-    const btn = document.getElementById('save-btn');
-    const originalText = btn.innerHTML;
-    btn.innerHTML = 'Saved!';
-    setTimeout(() => {
-      btn.innerHTML = originalText;
-    }, 2000);
+function getSourceLabel(source) {
+  switch (source.kind) {
+    case 'workdir': return 'Working Tree';
+    case 'index': return 'Index';
+    case 'commit': return source.label || (source.ref === 'HEAD' ? 'HEAD' : source.ref.slice(0, 7));
+    case 'none': return 'Empty';
+    case 'disk': return 'On Disk';
+    default: return source.label || source.path;
+  }
+}
 
-    // Refresh preview if needed
-    if (currentMode !== 'editor') {
-      updatePreview(currentPreviewFile);
-    }
-  } catch (err) {
-    console.error("Save error:", err);
-    alert("Could not save file: " + err.message);
+function getDiffTitle({ left, right, conflict }) {
+  if (conflict) return `${conflict.split('/').pop()} (Merge)`;
+  const name = right.path.split('/').pop();
+  if (left.kind === 'file' && right.kind === 'file') {
+    return `${left.path.split('/').pop()} ↔ ${name}`;
   }
+  return `${name} (${getSourceLabel(left)} ↔ ${getSourceLabel(right)})`;
 }
 
-async function syncFilesToSW() {
-  if (!navigator.serviceWorker.controller) {
-    console.log('[Main] Waiting for Service Worker controller...');
-    await new Promise(resolve => {
-      const handler = () => {
-        if (navigator.serviceWorker.controller) {
+function getDiffDescription({ left, right, conflict }) {
+  if (conflict) return `${conflict} (Resolve Conflicts)`;
+  return `${left.path} (${getSourceLabel(left)}) ↔ ${right.path} (${getSourceLabel(right)})`;
+}
+
+function getDiffKey({ left, right }) {
+  const part = source => `${source.kind}:${source.ref || ''}:${source.path}`;
+  return `diff://${part(left)}|${part(right)}`;
+}
+
+async function readDiffSource(source) {
+  if (source.kind === 'disk') {
+    const handle = fileHandles.get(source.path);
+    return handle ? (await handle.getFile()).text() : '';
+  }
+  if (source.kind === 'workdir' || source.kind === 'file') {
+    const cached = fileContent.get(source.path);
+    if (typeof cached === 'string') return cached;
+    const handle = fileHandles.get(source.path);
+    if (!handle) return '';
+    return (await handle.getFile()).text();
+  }
+
+  if (!gitRepoDir || source.kind === 'none') return '';
+  if (source.kind === 'index') {
+    try {
+      return await readIndexText(gitRepoDir, source.path);
+    } catch (e) {
+      return '';
+    }
+  }
+
+  try {
+    const oid = await git.resolveRef({ fs, dir: gitRepoDir, ref: source.ref }).catch(() => source.ref);
+    const { blob } = await git.readBlob({ fs, dir: gitRepoDir, oid, filepath: source.path });
+    return new TextDecoder().decode(blob);
+  } catch (e) {
+    return ''; // File didn't exist in that commit
+  }
+}
+
+async function openDiff(left, right) {
+  const spec = { left, right };
+  const key = getDiffKey(spec);
+  diffTabs.set(key, spec);
+  if (!openTabs.includes(key)) openTabs.push(key);
+  await loadFile(key);
+}
+
+function destroyDiffView() {
+  if (diffView) {
+    diffView.destroy();
+    diffView = null;
+  }
+  activeDiffKey = null;
+  editorHost.style.flexDirection = '';
+}
+
+function getDiffEditorExtensions(path) {
+  return [
+    basicSetup,
+    getLanguageExtension(path),
+    isDarkMode ? oneDark : EditorView.theme({}, { dark: false }),
+    EditorState.readOnly.of(true),
+    EditorView.editable.of(false)
+  ];
+}
+
+async function showDiffTab(key) {
+  const spec = diffTabs.get(key);
+  rememberEditorPosition();
+  destroyDiffView();
+  activeDiffKey = key;
+  currentFileHandle = null;
+  if (editor) {
+    editor.destroy();
+    editor = null;
+  }
+  renderTabs();
+
+  document.querySelectorAll('.file-item').forEach(el => el.classList.remove('active'));
+  document.getElementById('current-file-label').textContent = getDiffDescription(spec);
+
+  editorHost.innerHTML = '';
+  editorHost.style.display = 'flex';
+  editorHost.style.flexDirection = 'column';
+  editorHost.style.alignItems = '';
+  editorHost.style.justifyContent = '';
+  editorHost.style.background = '';
+
+  if (spec.conflict) {
+    await showConflictTab(key, spec.conflict);
+    return;
+  }
+
+  if (spec.left.kind !== 'file' || spec.right.kind !== 'file') await syncFolderIntoGit();
+  const [leftText, rightText] = await Promise.all([readDiffSource(spec.left), readDiffSource(spec.right)]);
+  if (activeDiffKey !== key) return; // Another tab was opened meanwhile
+
+  editorHost.appendChild(createDiffToolbar(key, spec));
+
+  const body = document.createElement('div');
+  body.className = 'diff-body';
+  editorHost.appendChild(body);
+
+  if (!isTextFile(spec.right.path)) {
+    body.innerHTML = `<div class="empty-state"><h3>${leftText === rightText ? 'Files are identical' : 'Binary files differ'}</h3></div>`;
+    return;
+  }
+
+  const collapseUnchanged = { margin: 3, minSize: 6 };
+  if (diffLayout === 'unified') {
+    diffView = new EditorView({
+      parent: body,
+      state: EditorState.create({
+        doc: rightText,
+        extensions: [
+          ...getDiffEditorExtensions(spec.right.path),
+          unifiedMergeView({ original: leftText, mergeControls: false, gutter: true, collapseUnchanged })
+        ]
+      })
+    });
+  } else {
+    diffView = new MergeView({
+      parent: body,
+      a: { doc: leftText, extensions: getDiffEditorExtensions(spec.left.path) },
+      b: { doc: rightText, extensions: getDiffEditorExtensions(spec.right.path) },
+      gutter: true,
+      collapseUnchanged
+    });
+  }
+
+  if (leftText === rightText) {
+    const notice = document.createElement('div');
+    notice.className = 'diff-notice';
+    notice.textContent = 'No differences';
+    editorHost.insertBefore(notice, body);
+  }
+}
+
+function createDiffToolbar(key, spec) {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'diff-toolbar';
+
+  const labels = document.createElement('div');
+  labels.className = 'diff-labels';
+  const leftLabel = document.createElement('span');
+  leftLabel.className = 'diff-label diff-label-left';
+  leftLabel.textContent = `${spec.left.path} · ${getSourceLabel(spec.left)}`;
+  const rightLabel = document.createElement('span');
+  rightLabel.className = 'diff-label diff-label-right';
+  rightLabel.textContent = `${spec.right.path} · ${getSourceLabel(spec.right)}`;
+  labels.appendChild(leftLabel);
+  labels.appendChild(rightLabel);
+  toolbar.appendChild(labels);
+
+  // Working tree diffs can switch what they are compared against
+  if (spec.right.kind === 'workdir' && gitRepoDir) {
+    const select = document.createElement('select');
+    select.className = 'diff-base-select';
+    select.title = 'Compare with';
+    select.innerHTML = `
+      <option value="index">Index</option>
+      <option value="HEAD">HEAD</option>
+      <option value="commit">Commit...</option>
+    `;
+    select.value = spec.left.kind === 'index' ? 'index' : spec.left.ref === 'HEAD' ? 'HEAD' : 'commit';
+    select.onchange = async () => {
+      let left;
+      if (select.value === 'index') {
+        left = { kind: 'index', path: spec.right.path };
+      } else if (select.value === 'HEAD') {
+        left = { kind: 'commit', ref: 'HEAD', path: spec.right.path };
+      } else {
+        const commit = await showCommitPicker();
+        if (!commit) {
+          select.value = spec.left.kind === 'index' ? 'index' : spec.left.ref === 'HEAD' ? 'HEAD' : 'commit';
+          return;
+        }
+        left = { kind: 'commit', ref: commit.oid, label: commit.oid.slice(0, 7), path: spec.right.path };
+      }
+      await replaceDiffTab(key, { left, right: spec.right });
+    };
+    toolbar.appendChild(select);
+  }
+
+  const layoutBtn = document.createElement('button');
+  layoutBtn.className = 'btn btn-secondary diff-layout-btn';
+  layoutBtn.textContent = diffLayout === 'split' ? 'Unified' : 'Side by Side';
+  layoutBtn.title = 'Toggle diff layout';
+  layoutBtn.onclick = () => {
+    diffLayout = diffLayout === 'split' ? 'unified' : 'split';
+    localStorage.setItem('indextor-diff-layout', diffLayout);
+    showDiffTab(key);
+  };
+  toolbar.appendChild(layoutBtn);
+
+  return toolbar;
+}
+
+async function replaceDiffTab(oldKey, spec) {
+  const key = getDiffKey(spec);
+  const index = openTabs.indexOf(oldKey);
+  diffTabs.delete(oldKey);
+  diffTabs.set(key, spec);
+  if (openTabs.includes(key)) openTabs.splice(index, 1);
+  else openTabs[index] = key;
+  await loadFile(key);
+}
+
+function showCommitPicker() {
+  return new Promise(async (resolve) => {
+    let commits = [];
+    try {
+      await syncFolderIntoGit();
+      commits = await git.log({ fs, dir: gitRepoDir, depth: 200 });
+    } catch (err) {
+      alert("Could not read commit history: " + err.message);
+      resolve(null);
+      return;
+    }
+
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'modal-overlay';
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content fade-in';
+    modalContent.innerHTML = `
+      <div class="modal-header">
+        <h3>Choose Commit</h3>
+        <button class="icon-btn" id="modal-close">×</button>
+      </div>
+      <div class="modal-body">
+        <input type="text" class="sidebar-search-input commit-picker-search" placeholder="Filter by message, author or hash..." autocomplete="off">
+        <div class="commit-picker-list"></div>
+      </div>
+    `;
+    modalOverlay.appendChild(modalContent);
+    document.body.appendChild(modalOverlay);
+
+    const listEl = modalContent.querySelector('.commit-picker-list');
+    const searchEl = modalContent.querySelector('.commit-picker-search');
+
+    const renderList = () => {
+      const query = searchEl.value.trim().toLowerCase();
+      listEl.innerHTML = '';
+      commits
+        .filter(({ oid, commit }) => !query
+          || oid.startsWith(query)
+          || commit.message.toLowerCase().includes(query)
+          || commit.author.name.toLowerCase().includes(query))
+        .forEach(entry => {
+          const item = document.createElement('div');
+          item.className = 'file-select-item commit-picker-item';
+          item.innerHTML = `<span class="commit-oid"></span><span class="commit-summary"></span>`;
+          item.querySelector('.commit-oid').textContent = entry.oid.slice(0, 7);
+          item.querySelector('.commit-summary').textContent = entry.commit.message.split('\n')[0];
+          item.title = `${entry.commit.author.name} · ${new Date(entry.commit.author.timestamp * 1000).toLocaleString()}`;
+          item.onclick = () => {
+            modalOverlay.remove();
+            resolve(entry);
+          };
+          listEl.appendChild(item);
+        });
+    };
+
+    renderList();
+    searchEl.addEventListener('input', renderList);
+    setTimeout(() => searchEl.focus(), 0);
+
+    const closeModal = () => {
+      modalOverlay.remove();
+      resolve(null);
+    };
+    modalContent.querySelector('#modal-close').onclick = closeModal;
+    modalOverlay.onclick = (e) => { if (e.target === modalOverlay) closeModal(); };
+  });
+}
+
+// --- Editor Actions ---
+
+async function saveCurrentFile() {
+  const activeDiff = activeDiffKey ? diffTabs.get(activeDiffKey) : null;
+  if (activeDiff && activeDiff.conflict) {
+    try {
+      await saveConflictedFile(activeDiff.conflict);
+      if (activeSidebarView === 'scm-view') refreshSourceControl();
+      else updateTreeStatus([activeDiff.conflict]);
+    } catch (err) {
+      console.error("Save error:", err);
+      alert("Could not save file: " + err.message);
+    }
+    return;
+  }
+
+  if (!currentFileHandle) return;
+  const path = getPathFromHandle(currentFileHandle);
+  if (!path) return;
+
+  if (fileContent.get(path) === undefined) return;
+
+  try {
+    // Don't silently overwrite what another program wrote meanwhile
+    await checkFileOnDisk(path, false);
+    if (externallyChanged.has(path) && !(await resolveExternalChange(path))) return;
+    await writeBufferToDisk(path);
+
+    // Show feedback
+    const btn = document.getElementById('save-btn');
+    const originalText = btn.innerHTML;
+    btn.innerHTML = 'Saved!';
+    setTimeout(() => {
+      btn.innerHTML = originalText;
+    }, 2000);
+
+    // Refresh preview if needed
+    if (currentMode !== 'editor') {
+      updatePreview(currentPreviewFile);
+    }
+
+    await updateGitignoreRules([path]);
+    if (activeSidebarView === 'scm-view') refreshSourceControl();
+    else updateTreeStatus([path]);
+  } catch (err) {
+    console.error("Save error:", err);
+    alert("Could not save file: " + err.message);
+  }
+}
+
+async function syncFilesToSW() {
+  if (!navigator.serviceWorker.controller) {
+    console.log('[Main] Waiting for Service Worker controller...');
+    await new Promise(resolve => {
+      const handler = () => {
+        if (navigator.serviceWorker.controller) {
           navigator.serviceWorker.removeEventListener('controllerchange', handler);
           resolve();
         }
@@ -849,10 +1740,13 @@ async function syncFilesToSW() {
     });
   }
 
+  // The preview can request any file of the project
+  await loadWholeProject(true);
+
   if (navigator.serviceWorker.controller) {
     const filesObj = {};
     for (const [path, content] of fileContent.entries()) {
-      filesObj[path] = content;
+      if (!excludeRules.isExcluded(path, 'file')) filesObj[path] = content;
     }
 
     return new Promise((resolve) => {
@@ -891,10 +1785,13 @@ async function updatePreview(previewFile) {
   previewFrame.src = `preview/${fileToUse}?t=${timestamp}`;
 }
 
-function showFileSelectionModal() {
+async function showFileSelectionModal() {
+  await loadWholeProject();
+
   return new Promise((resolve) => {
     const previewableExtensions = ['.html', '.json', '.jsx', '.tsx', '.py', '.java', '.cpp', '.sql', '.rs', '.go', '.php', '.cs', '.kt', '.swift', '.ts'];
     const previewableFiles = Array.from(fileHandles.keys()).filter(path =>
+      !excludeRules.isExcluded(path, 'file') &&
       previewableExtensions.some(ext => path.toLowerCase().endsWith(ext))
     );
 
@@ -961,31 +1858,38 @@ function showFileSelectionModal() {
 }
 
 async function toggleViewMode() {
-  const btn = document.getElementById('view-toggle-btn');
-  const span = btn.querySelector('span');
-  const wsResizer = document.getElementById('workspace-resizer');
-
   if (currentMode === 'editor') {
     const fileToPreview = await showFileSelectionModal();
     if (!fileToPreview) return;
+    setViewMode('split', fileToPreview);
+  } else if (currentMode === 'split') {
+    setViewMode('preview');
+  } else {
+    setViewMode('editor');
+  }
+}
+
+// Switches the layout; `fileToPreview` (re)loads the preview
+function setViewMode(mode, fileToPreview = null) {
+  const btn = document.getElementById('view-toggle-btn');
+  const span = btn.querySelector('span');
+  const wsResizer = document.getElementById('workspace-resizer');
 
-    currentMode = 'split';
+  currentMode = mode;
+  if (mode === 'split') {
     previewPane.classList.remove('hidden');
     editorPane.classList.remove('hidden');
     if (wsResizer) wsResizer.classList.remove('hidden');
     editorPane.style.width = '50%'; // Reset to split
     editorPane.style.flex = 'none';
     span.textContent = 'Preview';
-    updatePreview(fileToPreview);
-  } else if (currentMode === 'split') {
-    currentMode = 'preview';
+  } else if (mode === 'preview') {
     editorPane.classList.add('hidden');
     previewPane.classList.remove('hidden');
     if (wsResizer) wsResizer.classList.add('hidden');
     previewPane.style.flex = '1';
     span.textContent = 'Editor';
   } else {
-    currentMode = 'editor';
     editorPane.classList.remove('hidden');
     previewPane.classList.add('hidden');
     if (wsResizer) wsResizer.classList.add('hidden');
@@ -993,6 +1897,9 @@ async function toggleViewMode() {
     editorPane.style.width = 'auto';
     span.textContent = 'Split';
   }
+
+  if (fileToPreview && mode !== 'editor') updatePreview(fileToPreview);
+  scheduleSessionSave();
 }
 
 // --- Search Logic ---
@@ -1000,41 +1907,300 @@ async function toggleViewMode() {
 // --- Search Logic Removed ---
 // Use Browser Find (Cmd+F) instead.
 
+// --- Quick Open ---
+
+const MAX_RECENT_FILES = 50;
+const MAX_QUICK_OPEN_RESULTS = 50;
+const RECENT_FILE_BONUS = 40; // Added to the score of the last opened file, less for older ones
+const QUICK_OPEN_PREVIEW_DELAY = 80;
+
+function rememberRecentFile(path) {
+  recentFiles = [path, ...recentFiles.filter(recent => recent !== path)].slice(0, MAX_RECENT_FILES);
+}
+
+// Project files whose path fuzzy-matches `query`, best first. Recently opened
+// files rank higher, and without a query come first.
+function findQuickOpenFiles(query) {
+  const results = [];
+  for (const path of fileHandles.keys()) {
+    const node = getTreeNode(path);
+    if (!node || (node.excluded && !showExcluded)) continue;
+    const match = fuzzyMatch(query, path);
+    if (!match) continue;
+    const recent = recentFiles.indexOf(path);
+    const recency = recent === -1 ? 0 : RECENT_FILE_BONUS * (1 - recent / MAX_RECENT_FILES);
+    results.push({ path, indices: match.indices, score: match.score + recency });
+  }
+  return results
+    .sort((a, b) => b.score - a.score || a.path.length - b.path.length || a.path.localeCompare(b.path))
+    .slice(0, MAX_QUICK_OPEN_RESULTS);
+}
+
+// Fills `el` with `text`, marking the matched characters. `indices` are
+// positions in the whole path, in which `text` starts at `offset`.
+function appendHighlighted(el, text, indices, offset = 0) {
+  const matched = new Set(indices);
+  let run = '';
+  let runMatched = false;
+  const flush = () => {
+    if (!run) return;
+    if (runMatched) {
+      const mark = document.createElement('mark');
+      mark.textContent = run;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(run));
+    }
+    run = '';
+  };
+  for (let i = 0; i < text.length; i++) {
+    const isMatch = matched.has(offset + i);
+    if (isMatch !== runMatched) flush();
+    runMatched = isMatch;
+    run += text[i];
+  }
+  flush();
+}
+
+// Moves the cursor to a line (and column), both counted from 1, and scrolls
+// it to the middle of the editor
+function goToLine(line, column = null, focus = true) {
+  if (!editor) return;
+  const doc = editor.state.doc;
+  const target = doc.line(Math.min(Math.max(line, 1), doc.lines));
+  const pos = Math.min(target.from + Math.max((column || 1) - 1, 0), target.to);
+  editor.dispatch({ selection: { anchor: pos }, effects: EditorView.scrollIntoView(pos, { y: 'center' }) });
+  if (focus) editor.focus();
+}
+
+async function showQuickOpenFile(path, line, column, preview) {
+  const activePath = currentFileHandle && !activeDiffKey ? getPathFromHandle(currentFileHandle) : null;
+  if (path !== activePath) {
+    // The line asked for wins over where the file was left
+    if (line) editorPositions.delete(path);
+    await loadFile(path, { preview });
+  } else if (!preview) {
+    rememberRecentFile(path);
+  }
+
+  if (line) goToLine(line, column, !preview);
+  else if (!preview && editor) editor.focus();
+}
+
+// Palette that finds project files by fuzzy-matching their paths. Arrow keys
+// preview the selected file; Enter opens it, and Escape goes back to what was
+// open before. "path:line" or "path:line:column" jumps to a line, and
+// ":line" alone to a line of the open file.
+function showQuickOpen() {
+  if (!rootHandle || document.querySelector('.quick-open')) return;
+
+  const startTabs = openTabs.slice();
+  const startKey = getActiveTabKey();
+  let results = [];
+  let selected = 0;
+  let previewing = Promise.resolve();
+  let previewTimer = null;
+  let closed = false;
+
+  const modalOverlay = document.createElement('div');
+  modalOverlay.className = 'modal-overlay quick-open-overlay';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content fade-in quick-open';
+  modalContent.innerHTML = `
+    <input type="text" class="sidebar-search-input quick-open-input" placeholder="Go to file (add :line to jump to a line)" autocomplete="off" spellcheck="false">
+    <div class="quick-open-list"></div>
+  `;
+  modalOverlay.appendChild(modalContent);
+  document.body.appendChild(modalOverlay);
+
+  const inputEl = modalContent.querySelector('.quick-open-input');
+  const listEl = modalContent.querySelector('.quick-open-list');
+
+  const updateSelected = () => {
+    listEl.querySelectorAll('.quick-open-item').forEach((item, i) => {
+      item.classList.toggle('selected', i === selected);
+      if (i === selected) item.scrollIntoView({ block: 'nearest' });
+    });
+  };
+
+  const renderList = () => {
+    const { query, line } = splitLineSuffix(inputEl.value);
+    const previousPath = results[selected] ? results[selected].path : null;
+    results = query || !line ? findQuickOpenFiles(query) : [];
+    selected = Math.max(results.findIndex(result => result.path === previousPath), 0);
+
+    listEl.innerHTML = '';
+    if (results.length === 0) {
+      const message = document.createElement('div');
+      message.className = 'empty-message';
+      message.textContent = !query && line ? `Go to line ${line}` : 'No matching files';
+      listEl.appendChild(message);
+      return;
+    }
+
+    results.forEach((result, i) => {
+      const nameStart = result.path.lastIndexOf('/') + 1;
+      const name = result.path.slice(nameStart);
+      const item = document.createElement('div');
+      item.className = 'file-select-item quick-open-item';
+      item.innerHTML = `
+        <div class="icon-box">${getIconForFile(name, 'file')}</div>
+        <span class="quick-open-name"></span>
+        <span class="quick-open-path"></span>
+      `;
+      appendHighlighted(item.querySelector('.quick-open-name'), name, result.indices, nameStart);
+      appendHighlighted(item.querySelector('.quick-open-path'), result.path.slice(0, Math.max(nameStart - 1, 0)), result.indices);
+      // Keep the focus in the input
+      item.onmousedown = (e) => e.preventDefault();
+      item.onclick = () => {
+        selected = i;
+        accept();
+      };
+      listEl.appendChild(item);
+    });
+    updateSelected();
+  };
+
+  const preview = () => {
+    clearTimeout(previewTimer);
+    const result = results[selected];
+    if (!result) return;
+    previewTimer = setTimeout(() => {
+      const { line, column } = splitLineSuffix(inputEl.value);
+      previewing = previewing
+        .then(() => closed ? null : showQuickOpenFile(result.path, line, column, true))
+        .catch(err => console.error("Error previewing file:", err));
+    }, QUICK_OPEN_PREVIEW_DELAY);
+  };
+
+  // Opens `result`, or with none goes back to what was open before. Tabs
+  // opened only for previewing are closed again.
+  const close = async (result = null, line = null, column = null) => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(previewTimer);
+    modalOverlay.remove();
+    await previewing;
+
+    openTabs = openTabs.filter(path => startTabs.includes(path) || (result && path === result.path));
+    if (result) {
+      await showQuickOpenFile(result.path, line, column, false);
+    } else if (getActiveTabKey() !== startKey) {
+      if (startKey) {
+        await loadFile(startKey, { preview: true });
+      } else {
+        currentFileHandle = null;
+        showWelcomeScreen();
+      }
+    }
+    renderTabs();
+  };
+
+  const accept = () => {
+    const { query, line, column } = splitLineSuffix(inputEl.value);
+    if (!query && line) {
+      close().then(() => goToLine(line, column));
+    } else if (results[selected]) {
+      close(results[selected], line, column);
+    }
+  };
+
+  inputEl.addEventListener('input', renderList);
+  inputEl.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      selected = (selected + (e.key === 'ArrowDown' ? 1 : results.length - 1)) % results.length;
+      updateSelected();
+      preview();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      accept();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    }
+  });
+  modalOverlay.onclick = (e) => { if (e.target === modalOverlay) close(); };
+
+  renderList();
+  setTimeout(() => inputEl.focus(), 0);
+  // Files in folders that haven't been listed yet show up once they are
+  loadWholeProject().then(() => {
+    if (!closed) renderList();
+  });
+}
+
 // --- File Actions ---
 
 const newFileBtn = document.getElementById('new-file-btn');
 const newFolderBtn = document.getElementById('new-folder-btn');
 const importFileBtn = document.getElementById('import-file-btn');
+const importFolderBtn = document.getElementById('import-folder-btn');
+const importZipBtn = document.getElementById('import-zip-btn');
+const exportZipBtn = document.getElementById('export-zip-btn');
 // Check if elements exist to avoid null errors (if index.html isn't updated yet or cache issue)
-if (newFileBtn) newFileBtn.addEventListener('click', createNewFile);
-if (newFolderBtn) newFolderBtn.addEventListener('click', createNewFolder);
-if (importFileBtn) importFileBtn.addEventListener('click', importFile);
-
-async function createNewFile() {
+if (newFileBtn) newFileBtn.addEventListener('click', () => createNewFile());
+if (newFolderBtn) newFolderBtn.addEventListener('click', () => createNewFolder());
+if (importFileBtn) importFileBtn.addEventListener('click', () => importFile());
+if (importFolderBtn) importFolderBtn.addEventListener('click', () => importFolder());
+if (importZipBtn) importZipBtn.addEventListener('click', () => importZip());
+if (exportZipBtn) exportZipBtn.addEventListener('click', () => exportZip());
+
+async function createNewFile(parentNode = fileTree) {
   if (!rootHandle) {
     alert("Please open a project folder first.");
     return;
   }
 
   // Set state to show inline input
-  creatingNewItem = { type: 'file', parentNode: fileTree };
+  await showCreateInput('file', parentNode);
+}
+
+// Shows the inline name input at the top of `parentNode`, expanding it
+async function showCreateInput(type, parentNode) {
+  if (parentNode !== fileTree) {
+    await ensureDirectoryLoaded(parentNode);
+    parentNode.isOpen = true;
+  }
+  creatingNewItem = { type, parentNode };
   renderFileTree();
 }
 
-async function finalizeCreateFile(fileName, parentNode) {
+// Splits a typed name like "src/components/Button.jsx" into its parts,
+// rejecting empty, "." and ".." segments
+function splitNewItemPath(name) {
+  const parts = name.trim().split('/').map(part => part.trim());
+  if (parts.some(part => !part || part === '.' || part === '..')) {
+    throw new Error(`"${name}" is not a valid name.`);
+  }
+  return parts;
+}
+
+// Walks (and creates where missing) the folders `parts` below `parentNode`,
+// expanding them. Returns the deepest folder's tree node and handle.
+async function ensureFolderPath(parentNode, parts) {
+  let node = parentNode;
+  let handle = await getDirectoryHandleAt(parentNode.path);
+  for (const part of parts) {
+    handle = await handle.getDirectoryHandle(part, { create: true });
+    await ensureDirectoryLoaded(node);
+    const existing = node.children.get(part);
+    node = existing && existing.kind === 'directory' ? existing : addTreeEntry(node, handle);
+    node.isOpen = true;
+  }
+  return { node, handle };
+}
+
+async function finalizeCreateFile(fileName, rootNode) {
   if (!fileName || !fileName.trim()) return;
-  fileName = fileName.trim();
 
   try {
-    // Get parent directory handle
-    let parentHandle = rootHandle;
-    if (parentNode.path) {
-      const pathParts = parentNode.path.split('/');
-      for (const part of pathParts) {
-        parentHandle = await parentHandle.getDirectoryHandle(part);
-      }
-    }
-
+    // Missing folders in a nested path are created on the way
+    const parts = splitNewItemPath(fileName);
+    fileName = parts.pop();
+    const { node: parentNode, handle: parentHandle } = await ensureFolderPath(rootNode, parts);
     const fileHandle = await parentHandle.getFileHandle(fileName, { create: true });
 
     // Boilerplate for HTML files
@@ -1055,17 +2221,19 @@ async function finalizeCreateFile(fileName, parentNode) {
       await writable.close();
     }
 
-    // Refresh tree
+    // Add it to the tree
     creatingNewItem = null;
-    fileHandles.clear();
-    fileContent.clear();
-    fileTree = { children: new Map(), name: rootHandle.name, path: '', kind: 'directory' };
-    await scanDirectory(rootHandle, fileTree);
+    await ensureDirectoryLoaded(parentNode);
+    const newNode = addTreeEntry(parentNode, fileHandle);
+    fileContent.delete(newNode.path);
+    parentNode.isOpen = true;
     renderFileTree();
 
     // Open it
-    const newPath = parentNode.path ? `${parentNode.path}/${fileName}` : fileName;
+    const newPath = newNode.path;
     await loadFile(newPath);
+    await updateGitignoreRules([newPath]);
+    updateTreeStatus([newPath]);
   } catch (err) {
     console.error("Error creating file:", err);
     alert("Could not create file. " + err.message);
@@ -1074,293 +2242,4731 @@ async function finalizeCreateFile(fileName, parentNode) {
   }
 }
 
-async function importFile() {
+// Imports picked files into a folder, by default the selected one
+async function importFile(destNode = getPasteTarget()) {
   if (!rootHandle) {
     alert("Please open a project folder first.");
     return;
   }
 
-  try {
-    const pickedHandles = await window.showOpenFilePicker({
-      multiple: true
-    });
+  const pickedFiles = await pickFiles();
+  if (pickedFiles.length === 0) return;
+  await importItems(itemsFromFiles(pickedFiles), destNode);
+}
 
-    if (!pickedHandles || pickedHandles.length === 0) return;
+// Imports a picked folder with everything in it
+async function importFolder(destNode = getPasteTarget()) {
+  if (!rootHandle) {
+    alert("Please open a project folder first.");
+    return;
+  }
 
-    for (const srcHandle of pickedHandles) {
-      const srcFile = await srcHandle.getFile();
-      const destHandle = await rootHandle.getFileHandle(srcFile.name, { create: true });
-      const writable = await destHandle.createWritable();
-      await writable.write(srcFile);
-      await writable.close();
+  let items;
+  if (canPickFolders) {
+    try {
+      const dirHandle = await window.showDirectoryPicker({ mode: 'read' });
+      items = [await itemFromHandle(dirHandle)];
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error("Import error:", err);
+        alert("Could not read folder: " + err.message);
+      }
+      return;
     }
+  } else {
+    const pickedFiles = await pickFiles({ directory: true });
+    if (pickedFiles.length === 0) return;
+    items = itemsFromFiles(pickedFiles);
+  }
+  await importItems(items, destNode);
+}
 
-    fileHandles.clear();
-    fileContent.clear();
-    fileTree = { children: new Map(), name: rootHandle.name, path: '', kind: 'directory' };
-    await scanDirectory(rootHandle, fileTree);
-    renderFileTree();
+// Imports files and folders dragged from the computer onto the explorer
+async function importDroppedEntries(entries, destNode) {
+  if (!rootHandle || entries.length === 0) return;
+  try {
+    const items = [];
+    for (const entry of entries) items.push(await itemFromEntry(entry));
+    await importItems(items, destNode);
+  } catch (err) {
+    console.error("Import error:", err);
+    alert("Could not read dropped items: " + err.message);
+  }
+}
+
+// Writes import items into `destNode`. Folders that already exist are added
+// to; every file (or item of the other kind) in the way asks whether to
+// overwrite it, import under another name, or skip. Overwritten files go to
+// the trash first.
+async function importItems(items, destNode) {
+  const activePath = currentFileHandle && !activeDiffKey ? getPathFromHandle(currentFileHandle) : null;
+  const changedPaths = [];
+  const overwritten = [];
+  let skipped = 0;
+  let stopped = false;
+  let choiceForAll = null;
+
+  const resolveConflict = async (existing) => {
+    if (choiceForAll) return choiceForAll;
+    const { choice, applyToAll } = await showImportConflictDialog(existing);
+    if (applyToAll && choice !== 'cancel') choiceForAll = choice;
+    return choice;
+  };
+
+  const placeItems = async (items, node) => {
+    await ensureDirectoryLoaded(node);
+    const parentHandle = await getDirectoryHandleAt(node.path);
+    for (const item of items) {
+      // Git metadata is managed through isomorphic-git, never imported
+      if (item.kind === 'directory' && item.name === '.git') continue;
+      if (stopped) {
+        skipped += item.kind === 'file' ? 1 : countFiles(item.children);
+        continue;
+      }
+
+      let name = item.name;
+      const existing = node.children.get(name);
+      if (existing && existing.kind === 'directory' && item.kind === 'directory') {
+        await placeItems(item.children, existing);
+        continue;
+      }
+      if (existing) {
+        const choice = await resolveConflict(existing);
+        if (choice === 'cancel' || choice === 'skip') {
+          stopped = choice === 'cancel';
+          skipped += item.kind === 'file' ? 1 : countFiles(item.children);
+          continue;
+        }
+        if (choice === 'rename') {
+          name = getCopyName(node, name, item.kind);
+        } else if (existing.kind === item.kind) {
+          await moveToTrash(existing, 'overwrite');
+          fileContent.delete(existing.path);
+          diskState.delete(existing.path);
+          overwritten.push(existing.path);
+        } else {
+          await replaceItem(existing);
+        }
+      }
 
-    alert("Files imported successfully.");
+      const newNode = addTreeEntry(node, await writeImportItem(item, parentHandle, name));
+      changedPaths.push(...getItemPaths(item, newNode.path));
+    }
+  };
 
+  try {
+    await placeItems(items, destNode);
   } catch (err) {
     if (err.name !== 'AbortError') {
       console.error("Import error:", err);
       alert("Error importing files: " + err.message);
     }
   }
-}
+  if (changedPaths.length === 0) return;
 
-function isImageFile(name) {
+  if (destNode !== fileTree) destNode.isOpen = true;
+  renderFileTree();
+  // An overwritten file that is open shows its imported content
+  if (activePath && overwritten.includes(activePath)) {
+    await loadFile(activePath);
+  }
+  await updateGitignoreRules(changedPaths);
+  updateTreeStatus(changedPaths);
+
+  const notes = [];
+  if (overwritten.length > 0) notes.push(`${overwritten.length} replaced file(s) were moved to the Trash`);
+  if (skipped > 0) notes.push(`${skipped} file(s) were skipped`);
+  showToast(`Imported into ${destNode.path || rootHandle.name}${notes.length ? `. ${notes.join('. ')}.` : ''}`);
+}
+
+// Asks what to do about an imported item whose name is taken. Resolves to
+// { choice: 'overwrite' | 'rename' | 'skip' | 'cancel', applyToAll }.
+function showImportConflictDialog(existing) {
+  return new Promise((resolve) => {
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'modal-overlay';
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content fade-in';
+    modalContent.innerHTML = `
+      <div class="modal-header">
+        <h3>Item Already Exists</h3>
+        <button class="icon-btn" id="modal-close">×</button>
+      </div>
+      <div class="modal-body modal-form">
+        <p class="modal-text"></p>
+        <label class="form-checkbox">
+          <input type="checkbox" name="apply-to-all">
+          Do this for all remaining conflicts
+        </label>
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary" data-choice="cancel">Stop Import</button>
+          <button type="button" class="btn btn-secondary" data-choice="skip">Skip</button>
+          <button type="button" class="btn btn-secondary" data-choice="rename">Keep Both</button>
+          <button type="button" class="btn btn-primary" data-choice="overwrite">Overwrite</button>
+        </div>
+      </div>
+    `;
+    modalContent.querySelector('.modal-text').textContent = existing.kind === 'directory'
+      ? `A folder named "${existing.path}" already exists. Overwriting moves it to the Trash.`
+      : `"${existing.path}" already exists. Overwriting moves the current file to the Trash.`;
+    modalOverlay.appendChild(modalContent);
+    document.body.appendChild(modalOverlay);
+
+    const applyToAll = modalContent.querySelector('[name="apply-to-all"]');
+    const finish = (choice) => {
+      modalOverlay.remove();
+      resolve({ choice, applyToAll: applyToAll.checked });
+    };
+    modalContent.querySelectorAll('[data-choice]').forEach(btn => {
+      btn.onclick = () => finish(btn.dataset.choice);
+    });
+    modalContent.querySelector('#modal-close').onclick = () => finish('cancel');
+    modalOverlay.onclick = (e) => { if (e.target === modalOverlay) finish('cancel'); };
+  });
+}
+
+// --- ZIP Import & Export ---
+
+// Downloads the project (or a folder, wrapped in a folder of its name) as a
+// ZIP archive. Excluded files are left out, as everywhere else.
+async function exportZip(node = fileTree) {
+  if (!rootHandle) {
+    alert("Please open a project folder first.");
+    return;
+  }
+  if (!(await saveUnsavedTabs('export'))) return;
+
+  try {
+    const entries = [];
+    const base = node === fileTree ? '' : node.name;
+    if (base) entries.push({ path: base, data: null });
+    await collectZipEntries(node, base, entries);
+    downloadBlob(createZip(entries), `${node === fileTree ? rootHandle.name : node.name}.zip`);
+  } catch (err) {
+    console.error("Export error:", err);
+    alert("Could not export ZIP archive: " + err.message);
+  }
+}
+
+async function collectZipEntries(node, base, entries) {
+  await ensureDirectoryLoaded(node);
+  for (const child of node.children.values()) {
+    if (child.excluded) continue;
+    const path = base ? `${base}/${child.name}` : child.name;
+    if (child.kind === 'directory') {
+      entries.push({ path, data: null });
+      await collectZipEntries(child, path, entries);
+    } else {
+      const file = await child.handle.getFile();
+      entries.push({ path, data: new Uint8Array(await file.arrayBuffer()) });
+    }
+  }
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Extracts a picked archive into a folder. Files that already exist, and
+// files or folders of the archive where the other kind exists, are
+// overwritten or skipped as the user chooses; overwritten ones go to the
+// trash first.
+async function importZip(destNode = fileTree) {
+  if (!rootHandle) {
+    alert("Please open a project folder first.");
+    return;
+  }
+
+  const [archive] = await pickFiles({ multiple: false, accept: '.zip,application/zip' });
+  if (!archive) return;
+
+  try {
+    const entries = await readZip(archive);
+    const destHandle = destNode.handle;
+    const prefix = destNode.path ? `${destNode.path}/` : '';
+
+    // Folders go where files are and files where anything is. Below a file
+    // in the way nothing exists, so the checks there come back empty.
+    const conflicts = [];
+    for (const path of getFolderPaths(entries)) {
+      const existing = await getExistingEntry(destHandle, path);
+      if (existing && existing.kind === 'file') conflicts.push({ path, kind: 'directory', handle: existing });
+    }
+    for (const entry of entries) {
+      if (entry.data === null) continue;
+      const existing = await getExistingEntry(destHandle, entry.path);
+      if (existing) conflicts.push({ path: entry.path, kind: 'file', handle: existing });
+    }
+
+    let overwrite = new Set();
+    if (conflicts.length > 0) {
+      overwrite = await showZipConflictDialog(conflicts, destNode.path || rootHandle.name);
+      if (!overwrite) return;
+    }
+
+    // A skipped folder takes everything the archive has in it along
+    const skipped = conflicts.map(conflict => conflict.path).filter(path => !overwrite.has(path));
+    const replaced = [];
+    for (const conflict of conflicts) {
+      if (!overwrite.has(conflict.path)) continue;
+      if (conflict.handle.kind === conflict.kind) {
+        await moveToTrash({ handle: conflict.handle, path: prefix + conflict.path }, 'overwrite');
+      } else {
+        // An entry of the other kind has to go before the new one is written
+        await ensurePathLoaded(prefix + conflict.path);
+        await replaceItem(getTreeNode(prefix + conflict.path));
+        replaced.push(prefix + conflict.path);
+      }
+    }
+    const written = entries.filter(entry => !skipped.some(path => isSameOrInside(entry.path, path)));
+    await writeFilesToDirectory(destHandle, written);
+
+    // Overwritten files are read again when needed
+    const activePath = currentFileHandle && !activeDiffKey ? getPathFromHandle(currentFileHandle) : null;
+    const cachedPaths = new Set([...fileContent.keys(), ...diskState.keys()]);
+    overwrite.forEach(path => {
+      cachedPaths.forEach(cachedPath => {
+        if (!isSameOrInside(cachedPath, prefix + path)) return;
+        fileContent.delete(cachedPath);
+        diskState.delete(cachedPath);
+      });
+    });
+
+    await ensureDirectoryLoaded(destNode);
+    destNode.isOpen = true;
+    const changedPaths = written.map(entry => prefix + entry.path);
+    for (const folder of getLoadedFolders(destNode)) {
+      if (getTreeNode(folder.path) === folder) await syncFolderListing(folder);
+    }
+    renderFileTree();
+    if (activePath && activePath.startsWith(prefix) && overwrite.has(activePath.slice(prefix.length))) {
+      await loadFile(activePath);
+    } else if (replaced.length > 0) {
+      renderTabs();
+    }
+    await updateGitignoreRules(changedPaths);
+    updateTreeStatus(changedPaths);
+
+    const fileCount = written.filter(entry => entry.data !== null).length;
+    const notes = [];
+    if (overwrite.size > 0) notes.push(`${overwrite.size} replaced item(s) were moved to the Trash`);
+    if (skipped.length > 0) notes.push(`${skipped.length} existing item(s) were skipped`);
+    alert(`Imported ${fileCount} file(s) from ${archive.name}.${notes.length ? `\n\n${notes.join('. ')}.` : ''}`);
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    console.error("Import error:", err);
+    alert("Could not import ZIP archive: " + err.message);
+  }
+}
+
+// Lists the entries of an archive that are in the way of existing ones, each
+// with an overwrite checkbox. Resolves to the set of paths to overwrite, or
+// null on cancel.
+function showZipConflictDialog(conflicts, folderLabel) {
+  return new Promise((resolve) => {
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'modal-overlay';
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content fade-in';
+    modalContent.innerHTML = `
+      <div class="modal-header">
+        <h3>Items Already Exist</h3>
+        <button class="icon-btn" id="modal-close">×</button>
+      </div>
+      <div class="modal-body modal-form">
+        <p class="modal-text"></p>
+        <div class="zip-conflict-toolbar">
+          <button type="button" class="btn btn-secondary" id="zip-overwrite-all">Overwrite All</button>
+          <button type="button" class="btn btn-secondary" id="zip-skip-all">Skip All</button>
+        </div>
+        <div class="zip-conflict-list"></div>
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary" id="zip-cancel">Cancel</button>
+          <button type="button" class="btn btn-primary" id="zip-import">Import</button>
+        </div>
+      </div>
+    `;
+    modalContent.querySelector('.modal-text').textContent =
+      `${conflicts.length} item(s) in the archive already exist in "${folderLabel}". Checked items are overwritten, the others are skipped.`;
+
+    const listEl = modalContent.querySelector('.zip-conflict-list');
+    conflicts.forEach(({ path, kind, handle }) => {
+      const row = document.createElement('label');
+      row.className = 'zip-conflict-item';
+      row.innerHTML = '<input type="checkbox" checked><span></span>';
+      row.querySelector('input').value = path;
+      row.querySelector('span').textContent = kind === handle.kind ? path
+        : kind === 'file' ? `${path} (a file replacing a folder)` : `${path}/ (a folder replacing a file)`;
+      listEl.appendChild(row);
+    });
+    const checkboxes = Array.from(listEl.querySelectorAll('input'));
+
+    modalOverlay.appendChild(modalContent);
+    document.body.appendChild(modalOverlay);
+
+    const finish = (result) => {
+      modalOverlay.remove();
+      resolve(result);
+    };
+    modalContent.querySelector('#zip-overwrite-all').onclick = () => checkboxes.forEach(box => { box.checked = true; });
+    modalContent.querySelector('#zip-skip-all').onclick = () => checkboxes.forEach(box => { box.checked = false; });
+    modalContent.querySelector('#zip-import').onclick = () => finish(new Set(checkboxes.filter(box => box.checked).map(box => box.value)));
+    modalContent.querySelector('#zip-cancel').onclick = () => finish(null);
+    modalContent.querySelector('#modal-close').onclick = () => finish(null);
+    modalOverlay.onclick = (e) => { if (e.target === modalOverlay) finish(null); };
+  });
+}
+
+function isImageFile(name) {
   return /\.(png|jpg|jpeg|gif|webp|svg|ico)$/i.test(name);
 }
 
-// --- Context Menu ---
+// --- Browser Projects ---
+
+// The provider, or null when this browser doesn't have it
+function findStorageProvider(id) {
+  return storageProviders.find(candidate => candidate.id === id) || null;
+}
+
+function getStorageProvider(id) {
+  const provider = findStorageProvider(id);
+  if (!provider) throw new Error(`This browser can't open projects stored in ${id}`);
+  return provider;
+}
+
+async function openBrowserProject(providerId, name) {
+  const provider = getStorageProvider(providerId);
+  const handle = await provider.getProject(name);
+  const workspace = await rememberWorkspace({ kind: 'browser', provider: provider.id, name });
+  if (provider.id === 'lightningfs') {
+    // LightningFS projects (clones included) are git working trees in place
+    gitBridge = null;
+    gitRepoDir = null;
+    try {
+      await handle.getDirectoryHandle('.git');
+      gitRepoDir = handle.path;
+    } catch (e) { }
+  } else {
+    await attachGitBridge(handle, workspace);
+  }
+  await openProject(handle, workspace);
+}
+
+// LightningFS directory of the open project when git works on it directly
+function getVirtualProjectDir() {
+  return !gitBridge && rootHandle && rootHandle.path ? rootHandle.path : null;
+}
+
+// Lets the user pick files, or with `directory` a whole folder, from the
+// computer. Resolves to an empty list when the picker is dismissed.
+function pickFiles({ multiple = true, accept = '', directory = false } = {}) {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = multiple;
+    input.accept = accept;
+    input.webkitdirectory = directory;
+    let settled = false;
+    const settle = () => {
+      if (settled) return;
+      settled = true;
+      window.removeEventListener('focus', onFocus);
+      resolve(Array.from(input.files));
+    };
+    // Older browsers don't fire `cancel`. There, the page getting focus back
+    // without a `change` for a while means the picker was dismissed; folders
+    // can take some time to be listed after the upload prompt.
+    const onFocus = () => setTimeout(settle, 5000);
+    input.onchange = settle;
+    if ('oncancel' in input) input.oncancel = settle;
+    else window.addEventListener('focus', onFocus);
+    input.click();
+  });
+}
+
+function showProjectsDialog() {
+  const modalOverlay = document.createElement('div');
+  modalOverlay.className = 'modal-overlay';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content fade-in';
+  modalContent.innerHTML = `
+    <div class="modal-header">
+      <h3>Browser Projects</h3>
+      <button class="icon-btn" id="modal-close">×</button>
+    </div>
+    <form class="modal-body modal-form" id="project-form">
+      <p class="modal-text">Projects in browser storage can be edited and previewed without access to a folder on disk.</p>
+      <label class="form-field">
+        <span>New Project</span>
+        <input type="text" name="name" placeholder="Project name" autocomplete="off" required>
+      </label>
+      <div class="form-row">
+        <label class="form-field">
+          <span>Storage</span>
+          <select name="provider"></select>
+        </label>
+        <label class="form-field">
+          <span>Start With</span>
+          <select name="source">
+            <option value="empty">Empty project</option>
+            <option value="files">Files...</option>
+            <option value="zip">ZIP archive...</option>
+          </select>
+        </label>
+      </div>
+      <div class="modal-error hidden" id="project-error"></div>
+      <div class="modal-actions">
+        <button type="submit" class="btn btn-primary" id="project-submit">Create Project</button>
+      </div>
+      <div class="project-list" id="project-list"></div>
+    </form>
+  `;
+  modalOverlay.appendChild(modalContent);
+  document.body.appendChild(modalOverlay);
+
+  const form = modalContent.querySelector('#project-form');
+  const errorEl = modalContent.querySelector('#project-error');
+  const listEl = modalContent.querySelector('#project-list');
+  storageProviders.forEach(provider => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.label;
+    form.elements.provider.appendChild(option);
+  });
+  setTimeout(() => form.elements.name.focus(), 0);
+
+  const closeModal = () => modalOverlay.remove();
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+  };
+
+  const renderList = async () => {
+    listEl.innerHTML = '';
+    for (const provider of storageProviders) {
+      let names;
+      try {
+        names = await provider.listProjects();
+      } catch (err) {
+        console.error("Error listing projects:", err);
+        continue;
+      }
+      names.forEach(name => listEl.appendChild(createProjectEntry(provider, name)));
+    }
+    if (!listEl.hasChildNodes()) listEl.innerHTML = '<div class="empty-message">No projects in browser storage yet</div>';
+  };
+
+  const createProjectEntry = (provider, name) => {
+    const item = document.createElement('div');
+    item.className = 'file-select-item project-entry';
+    item.innerHTML = `
+      <div class="icon-box">${getIconForFile(name, 'directory')}</div>
+      <span class="project-entry-name"></span>
+      <span class="project-entry-storage"></span>
+      <button type="button" class="icon-btn project-entry-delete" title="Delete Project">×</button>
+    `;
+    item.querySelector('.project-entry-name').textContent = name;
+    item.querySelector('.project-entry-storage').textContent = provider.label;
+
+    item.onclick = async () => {
+      closeModal();
+      try {
+        await openBrowserProject(provider.id, name);
+      } catch (err) {
+        console.error("Error opening project:", err);
+        alert(`Could not open "${name}": ${err.message}`);
+      }
+    };
+    item.querySelector('.project-entry-delete').onclick = async (e) => {
+      e.stopPropagation();
+      await deleteBrowserProject(provider, name);
+      renderList();
+    };
+    return item;
+  };
+
+  form.onsubmit = async (e) => {
+    e.preventDefault();
+    errorEl.classList.add('hidden');
+    const name = form.elements.name.value.trim();
+    const provider = getStorageProvider(form.elements.provider.value);
+    const source = form.elements.source.value;
+
+    // The file picker has to open while the click still counts as a user
+    // gesture, so before anything is awaited
+    const picked = source === 'empty' ? Promise.resolve(null) : pickFiles({ multiple: source === 'files', accept: source === 'zip' ? '.zip,application/zip' : '' });
+
+    const submitBtn = modalContent.querySelector('#project-submit');
+    submitBtn.disabled = true;
+    try {
+      const files = await picked;
+      if (files && files.length === 0) return;
+      await createBrowserProject(provider, name, source, files);
+      closeModal();
+      await openBrowserProject(provider.id, name);
+    } catch (err) {
+      console.error("Error creating project:", err);
+      showError(`Could not create project: ${err.message}`);
+    } finally {
+      submitBtn.disabled = false;
+    }
+  };
+
+  modalContent.querySelector('#modal-close').onclick = closeModal;
+  modalOverlay.onclick = (e) => { if (e.target === modalOverlay) closeModal(); };
+  renderList();
+}
+
+// Creates a project and fills it with picked files or the contents of a ZIP
+// archive. A project whose contents could not be written is removed again.
+async function createBrowserProject(provider, name, source, files) {
+  const handle = await provider.createProject(name);
+  if (source === 'empty') return;
+
+  try {
+    const entries = source === 'zip'
+      ? await readZip(files[0], { stripRoot: true })
+      : files.map(file => ({ path: file.name, data: file }));
+    await writeFilesToDirectory(handle, entries);
+  } catch (err) {
+    try {
+      await provider.deleteProject(name);
+    } catch (e) { }
+    throw err;
+  }
+}
+
+async function deleteBrowserProject(provider, name) {
+  if (currentWorkspace && currentWorkspace.kind === 'browser'
+    && currentWorkspace.provider === provider.id && currentWorkspace.name === name) {
+    alert(`"${name}" is open. Open another project before deleting it.`);
+    return;
+  }
+  if (!confirm(`Delete the project "${name}" and all its files from ${provider.label}? This can't be undone.`)) return;
+
+  try {
+    await provider.deleteProject(name);
+    const workspace = await findWorkspace({ kind: 'browser', provider: provider.id, name });
+    if (workspace) await forgetWorkspace(workspace.id);
+    renderRecentWorkspaces();
+  } catch (err) {
+    console.error("Error deleting project:", err);
+    alert(`Could not delete "${name}": ${err.message}`);
+  }
+}
+
+// --- Recent Projects & Sessions ---
+
+// Reopens the last project when that needs no permission prompt; otherwise
+// the welcome screen lists it under Recent Projects
+async function restoreLastWorkspace() {
+  try {
+    const [last] = await listRecentWorkspaces();
+    if (!last) return;
+    if (last.kind === 'folder' && !(await ensurePermission(last.handle))) return;
+    await openWorkspace(last);
+  } catch (err) {
+    console.error("Error restoring the last project:", err);
+  }
+}
+
+async function openRecentWorkspace(id) {
+  const workspace = await getWorkspace(id);
+  if (!workspace) return;
+
+  try {
+    if (workspace.kind === 'folder' && !(await ensurePermission(workspace.handle, true))) {
+      alert(`Indextor needs access to "${workspace.name}" to open it.`);
+      return;
+    }
+    await openWorkspace(workspace);
+  } catch (err) {
+    console.error("Error opening project:", err);
+    if (confirm(`Could not open "${workspace.name}": ${err.message}\n\nRemove it from Recent Projects?`)) {
+      await forgetWorkspace(id);
+      renderRecentWorkspaces();
+    }
+  }
+}
+
+async function openWorkspace(workspace) {
+  if (workspace.kind === 'browser') {
+    await openBrowserProject(workspace.provider, workspace.name);
+  } else {
+    // Fails when the folder was moved or deleted
+    await workspace.handle.keys().next();
+    const entry = await rememberWorkspace({ kind: 'folder', name: workspace.handle.name, handle: workspace.handle });
+    await attachGitBridge(workspace.handle, entry);
+    await openProject(workspace.handle, entry);
+  }
+}
+
+// Adds a project to Recent Projects. Opening it still works when that fails.
+async function rememberWorkspace(entry) {
+  try {
+    return await registerWorkspace(entry);
+  } catch (err) {
+    console.error("Error saving recent project:", err);
+    return null;
+  }
+}
+
+async function renderRecentWorkspaces() {
+  const recentEl = document.getElementById('welcome-recent');
+  if (!recentEl) return;
+
+  let workspaces;
+  try {
+    workspaces = await listRecentWorkspaces();
+  } catch (err) {
+    console.error("Error reading recent projects:", err);
+    return;
+  }
+  workspaces = workspaces.filter(workspace => !currentWorkspace || workspace.id !== currentWorkspace.id);
+  recentEl.classList.toggle('hidden', workspaces.length === 0);
+
+  const listEl = recentEl.querySelector('.welcome-recent-list');
+  listEl.innerHTML = '';
+  workspaces.forEach(workspace => {
+    const item = document.createElement('div');
+    item.className = 'welcome-recent-item';
+    item.innerHTML = `
+      <div class="icon-box">${getIconForFile(workspace.name, 'directory')}</div>
+      <span class="welcome-recent-name"></span>
+      <span class="welcome-recent-meta"></span>
+      <button class="icon-btn welcome-recent-remove" title="Remove from Recent Projects">×</button>
+    `;
+    item.querySelector('.welcome-recent-name').textContent = workspace.name;
+    // Browser projects in storage this browser lacks stay listed; opening one
+    // offers to remove it
+    const provider = workspace.kind === 'browser' ? findStorageProvider(workspace.provider) : null;
+    const unavailable = workspace.kind === 'browser' && !provider;
+    item.classList.toggle('unavailable', unavailable);
+    item.querySelector('.welcome-recent-meta').textContent = unavailable
+      ? 'Not available in this browser'
+      : `${provider ? provider.label : 'Folder'} · ${formatRelativeDate(Math.floor(workspace.lastOpened / 1000))}`;
+    item.title = unavailable ? `${workspace.name} is stored in ${workspace.provider}, which this browser doesn't support` : workspace.name;
+
+    item.onclick = () => openRecentWorkspace(workspace.id);
+    item.querySelector('.welcome-recent-remove').onclick = async (e) => {
+      e.stopPropagation();
+      await forgetWorkspace(workspace.id);
+      renderRecentWorkspaces();
+    };
+    listEl.appendChild(item);
+  });
+}
+
+function rememberEditorPosition() {
+  if (!editor || !currentFileHandle || activeDiffKey) return;
+  const path = getPathFromHandle(currentFileHandle);
+  if (!path) return;
+  const { anchor, head } = editor.state.selection.main;
+  editorPositions.set(path, { anchor, head, scrollTop: editor.scrollDOM.scrollTop });
+}
+
+function restoreEditorPosition(path) {
+  const position = editorPositions.get(path);
+  const view = editor;
+  if (!position || !view) return;
+
+  const length = view.state.doc.length;
+  view.dispatch({ selection: { anchor: Math.min(position.anchor, length), head: Math.min(position.head, length) } });
+  // Wait for the editor to measure its content before scrolling
+  requestAnimationFrame(() => {
+    if (editor === view) view.scrollDOM.scrollTop = position.scrollTop;
+  });
+}
+
+function collectSession() {
+  rememberEditorPosition();
+  const tabs = openTabs.filter(path => !diffTabs.has(path));
+  const positions = {};
+  tabs.forEach(path => {
+    if (editorPositions.has(path)) positions[path] = editorPositions.get(path);
+  });
+
+  return {
+    openTabs: tabs,
+    activeFile: currentFileHandle ? getPathFromHandle(currentFileHandle) : null,
+    positions,
+    openFolders: Array.from(collectOpenFolders(fileTree)),
+    sidebarWidth: sidebarEl.offsetWidth,
+    mode: currentMode,
+    previewFile: currentPreviewFile,
+    recentFiles: recentFiles.slice()
+  };
+}
+
+function scheduleSessionSave() {
+  if (!currentWorkspace || restoringSession) return;
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(saveSessionNow, 1000);
+}
+
+async function saveSessionNow() {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = null;
+  if (!currentWorkspace || restoringSession) return;
+
+  const workspace = currentWorkspace;
+  workspace.session = collectSession();
+  try {
+    await saveWorkspaceSession(workspace.id, workspace.session);
+  } catch (err) {
+    console.error("Error saving session:", err);
+  }
+}
+
+async function restoreSession(session) {
+  restoringSession = true;
+  try {
+    if (session.sidebarWidth) sidebarEl.style.width = `${session.sidebarWidth}px`;
+
+    await restoreOpenFolders(fileTree, new Set(session.openFolders));
+    renderFileTree();
+
+    for (const path of session.openTabs) await ensurePathLoaded(path);
+    openTabs = session.openTabs.filter(path => fileHandles.has(path));
+    editorPositions = new Map(Object.entries(session.positions || {}));
+    recentFiles = session.recentFiles || [];
+
+    const activeFile = openTabs.includes(session.activeFile) ? session.activeFile : openTabs[0];
+    if (activeFile) {
+      await loadFile(activeFile);
+    } else {
+      renderTabs();
+      showWelcomeScreen();
+    }
+
+    const previewFile = session.previewFile && fileHandles.has(session.previewFile) ? session.previewFile : null;
+    if (session.mode === 'editor' || previewFile) setViewMode(session.mode, previewFile);
+  } finally {
+    restoringSession = false;
+  }
+}
+
+// --- External Changes ---
+
+function startFileWatcher(handle) {
+  if (fileWatcher) fileWatcher.stop();
+  fileWatcher = new FileWatcher(handle, handleExternalChanges);
+  fileWatcher.start();
+}
+
+// Reconciles the tree and the buffers with changes other programs made to
+// the folder (see FileWatcher for what a batch holds)
+async function handleExternalChanges({ files, folders, scope }) {
+  const project = rootHandle;
+  if (!project) return;
+
+  // Buffers of open files, in case their file disappears
+  const activePath = getActiveTabKey();
+  const openBuffers = new Map();
+  openTabs.forEach(path => {
+    if (fileContent.has(path)) openBuffers.set(path, { content: fileContent.get(path), saved: diskState.get(path) });
+  });
+
+  const listed = scope
+    ? getLoadedFolders()
+    : Array.from(folders).map(getTreeNode).filter(node => node && node.kind === 'directory' && node.loaded);
+  const treePaths = [];
+  for (const node of listed) {
+    if (getTreeNode(node.path) !== node) continue; // Dropped with a parent
+    treePaths.push(...await syncFolderListing(node));
+    if (rootHandle !== project) return;
+  }
+
+  const checked = new Set(scope === 'all' ? fileContent.keys() : openTabs);
+  files.forEach(path => checked.add(path));
+  const contentPaths = [];
+  for (const path of checked) {
+    if (await checkFileOnDisk(path)) contentPaths.push(path);
+    if (rootHandle !== project) return;
+  }
+
+  if (treePaths.length > 0) {
+    renderFileTree();
+    await closeRemovedTabs(openBuffers, activePath);
+  }
+
+  const changedPaths = [...new Set([...treePaths, ...files, ...contentPaths])];
+  if (changedPaths.length === 0) return;
+  await updateGitignoreRules(changedPaths);
+  updateTreeStatus(changedPaths);
+  if (contentPaths.length > 0 && currentMode !== 'editor') updatePreview(currentPreviewFile);
+}
+
+function getLoadedFolders(node = fileTree, folders = []) {
+  if (!node.loaded) return folders;
+  folders.push(node);
+  for (const child of node.children.values()) {
+    if (child.kind === 'directory') getLoadedFolders(child, folders);
+  }
+  return folders;
+}
+
+// Brings a listed folder in line with the disk. Returns the paths that were
+// added or removed.
+async function syncFolderListing(node) {
+  const before = new Map(node.children);
+  const entries = new Map();
+  try {
+    for await (const entry of node.handle.values()) {
+      if (entry.kind === 'directory' && entry.name === '.git') continue;
+      entries.set(entry.name, entry);
+    }
+  } catch (e) {
+    return []; // The folder itself is gone, which its parent's listing shows
+  }
+
+  const changed = [];
+  before.forEach((child, name) => {
+    const entry = entries.get(name);
+    if (entry && entry.kind === child.kind) return;
+    // Skip entries the app itself replaced while the folder was listed
+    if (node.children.get(name) !== child) return;
+    removeTreeEntry(child);
+    changed.push(child.path);
+  });
+  entries.forEach((entry, name) => {
+    const previous = before.get(name);
+    if (previous && previous.kind === entry.kind) return;
+    if (node.children.has(name)) return;
+    changed.push(addTreeEntry(node, entry).path);
+  });
+  return changed;
+}
+
+// Compares a cached file with the disk. A clean buffer takes the new
+// content; an edited one is marked as changed on disk and, unless `prompt`
+// is false, the user picks which version to keep. Returns true when the
+// file had changed.
+async function checkFileOnDisk(path, prompt = true) {
+  const handle = fileHandles.get(path);
+  if (!handle || fileContent.get(path) === undefined) return false;
+
+  let file;
+  try {
+    file = await handle.getFile();
+  } catch (e) {
+    return false; // Deleted, which the folder listing shows
+  }
+  const known = diskState.get(path);
+  if (known && known.lastModified === file.lastModified && known.size === file.size) return false;
+
+  const diskContent = isTextFile(path) ? await file.text() : await file.arrayBuffer();
+  const current = fileContent.get(path);
+  if (current === undefined || fileHandles.get(path) !== handle) return false;
+
+  const state = { lastModified: file.lastModified, size: file.size, content: diskContent };
+  diskState.set(path, state);
+  // Our own writes, touched files, and buffers not read through
+  // readFileContent (whose disk version is unknown) end here
+  if (isSameContent(current, diskContent) || !known) return false;
+
+  if (isSameContent(current, known.content)) {
+    fileContent.set(path, diskContent);
+    await showReloadedContent(path);
+    return true;
+  }
+
+  externallyChanged.add(path);
+  if (prompt && await resolveExternalChange(path)) await writeBufferToDisk(path);
+  return true;
+}
+
+function isSameContent(a, b) {
+  if (typeof a === 'string' || typeof b === 'string') return a === b;
+  if (a.byteLength !== b.byteLength) return false;
+  const bytesA = new Uint8Array(a);
+  const bytesB = new Uint8Array(b);
+  return bytesA.every((byte, i) => byte === bytesB[i]);
+}
+
+// Puts a reloaded buffer into the editor, keeping the cursor and scroll
+// position
+async function showReloadedContent(path) {
+  if (activeDiffKey || !currentFileHandle || getPathFromHandle(currentFileHandle) !== path) return;
+  if (!editor || isImageFile(path)) {
+    await loadFile(path);
+    return;
+  }
+
+  const text = fileContent.get(path);
+  const scrollTop = editor.scrollDOM.scrollTop;
+  editor.dispatch({
+    changes: { from: 0, to: editor.state.doc.length, insert: text },
+    selection: { anchor: Math.min(editor.state.selection.main.head, text.length) }
+  });
+  editor.scrollDOM.scrollTop = scrollTop;
+  updateBlame();
+}
+
+const externalChangePrompts = new Map(); // path -> pending dialog choice
+
+// Asks what to do with the unsaved edits of a file another program changed.
+// Returns true when the edits should be written over the disk version.
+async function resolveExternalChange(path) {
+  let prompt = externalChangePrompts.get(path);
+  if (!prompt) {
+    prompt = showExternalChangeDialog(path).finally(() => externalChangePrompts.delete(path));
+    externalChangePrompts.set(path, prompt);
+  }
+
+  const choice = await prompt;
+  if (choice === 'compare') {
+    await openDiff({ kind: 'disk', path }, { kind: 'file', path, label: 'Unsaved Changes' });
+  } else if (choice === 'reload') {
+    externallyChanged.delete(path);
+    fileContent.delete(path);
+    await readFileContent(path);
+    await showReloadedContent(path);
+  }
+  return choice === 'overwrite';
+}
+
+function showExternalChangeDialog(path) {
+  return new Promise((resolve) => {
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'modal-overlay';
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content fade-in';
+    modalContent.innerHTML = `
+      <div class="modal-header">
+        <h3>File Changed on Disk</h3>
+        <button class="icon-btn" id="modal-close">×</button>
+      </div>
+      <div class="modal-body modal-form">
+        <p class="modal-text"></p>
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary" data-choice="compare">Compare</button>
+          <button type="button" class="btn btn-secondary" data-choice="reload">Reload from Disk</button>
+          <button type="button" class="btn btn-primary" data-choice="overwrite">Overwrite</button>
+        </div>
+      </div>
+    `;
+    modalContent.querySelector('.modal-text').textContent =
+      `"${path}" was changed by another program, and you have unsaved edits to it. Compare both versions, discard your edits and reload the file, or overwrite the file with your edits?`;
+    modalOverlay.appendChild(modalContent);
+    document.body.appendChild(modalOverlay);
+
+    const finish = (choice) => {
+      modalOverlay.remove();
+      resolve(choice);
+    };
+    modalContent.querySelectorAll('[data-choice]').forEach(btn => {
+      btn.onclick = () => finish(btn.dataset.choice);
+    });
+    modalContent.querySelector('#modal-close').onclick = () => finish('cancel');
+    modalOverlay.onclick = (e) => { if (e.target === modalOverlay) finish('cancel'); };
+  });
+}
+
+// Closes the tabs of files that disappeared from disk. Files with unsaved
+// edits can be written back instead.
+async function closeRemovedTabs(openBuffers, activePath) {
+  const removed = openTabs.filter(path => !fileHandles.has(path) && !diffTabs.has(path));
+  if (removed.length === 0) return;
+
+  for (const path of removed) {
+    const buffer = openBuffers.get(path);
+    const edited = buffer && (!buffer.saved || !isSameContent(buffer.content, buffer.saved.content));
+    if (!edited || !confirm(`"${path}" was deleted by another program, but it has unsaved edits. Keep the file with your edits?`)) continue;
+
+    try {
+      const parts = path.split('/');
+      const name = parts.pop();
+      const { node: parentNode, handle: parentHandle } = await ensureFolderPath(fileTree, parts);
+      addTreeEntry(parentNode, await parentHandle.getFileHandle(name, { create: true }));
+      fileContent.set(path, buffer.content);
+      await writeBufferToDisk(path);
+    } catch (err) {
+      console.error("Restore error:", err);
+      alert("Could not write the file back. " + err.message);
+    }
+  }
+
+  openTabs = openTabs.filter(path => fileHandles.has(path) || diffTabs.has(path));
+  renderFileTree();
+  if (!removed.includes(activePath)) {
+    renderTabs();
+  } else if (openTabs.includes(activePath)) {
+    await loadFile(activePath); // Written back under a new handle
+  } else if (openTabs.length > 0) {
+    currentFileHandle = null;
+    await loadFile(openTabs[openTabs.length - 1]);
+  } else {
+    currentFileHandle = null;
+    renderTabs();
+    showWelcomeScreen();
+  }
+}
+
+// --- Trash ---
+
+// Snapshots a project entry into the trash before it is deleted or
+// overwritten. Returns the trash item's id, or null when the entry is too
+// large for the trash and the user chose to lose it; throws an AbortError
+// when they didn't.
+async function moveToTrash(node, reason) {
+  if (await exceedsTrashLimit(node.handle)) {
+    const action = reason === 'delete' ? 'Delete' : 'Overwrite';
+    const limit = `${TRASH_LIMIT.files} files or ${TRASH_LIMIT.bytes / (1024 * 1024)} MB`;
+    if (!confirm(`"${node.path}" is too large for the Trash (more than ${limit}).\n\n${action} it permanently?`)) {
+      throw new DOMException(`${action} cancelled`, 'AbortError');
+    }
+    return null;
+  }
+
+  const id = await trashHandle(node.handle, { project: projectId, projectName: rootHandle.name, path: node.path, reason });
+  refreshTrashView();
+  return id;
+}
+
+// Items that skipped the trash can't be undone
+function showUndoToast(message, trashId) {
+  showToast(message, trashId === null ? [] : [{ label: 'Undo', action: () => restoreFromTrash(trashId) }]);
+}
+
+function showToast(message, actions = []) {
+  let container = document.getElementById('toast-container');
+  if (!container) {
+    container = document.createElement('div');
+    container.id = 'toast-container';
+    container.className = 'toast-container';
+    document.body.appendChild(container);
+  }
+
+  const toast = document.createElement('div');
+  toast.className = 'toast fade-in';
+  const text = document.createElement('span');
+  text.className = 'toast-message';
+  text.textContent = message;
+  toast.appendChild(text);
+
+  const dismiss = () => toast.remove();
+  actions.forEach(({ label, action }) => {
+    const btn = document.createElement('button');
+    btn.className = 'toast-action';
+    btn.textContent = label;
+    btn.onclick = () => {
+      dismiss();
+      action();
+    };
+    toast.appendChild(btn);
+  });
+
+  container.appendChild(toast);
+  setTimeout(dismiss, 8000);
+}
+
+// Writes a trash item back to its original path, recreating missing folders
+// and asking what to do when something else took its place
+async function restoreFromTrash(id) {
+  if (!rootHandle) return;
+
+  try {
+    const item = await getTrashItem(id);
+    if (!item) return;
+    if (item.project !== projectId) {
+      alert(`This item belongs to the project "${item.projectName || item.project}". Open it to restore the item.`);
+      return;
+    }
+
+    const parentPath = getParentPath(item.path);
+    const name = item.path.split('/').pop();
+    const { node: parentNode, handle: parentHandle } = await ensureFolderPath(fileTree, parentPath ? parentPath.split('/') : []);
+
+    let restoreName = name;
+    const existing = parentNode.children.get(name);
+    if (existing) {
+      const choice = await showNameConflictDialog(name, parentPath || rootHandle.name);
+      if (choice === 'cancel') return;
+      if (choice === 'keep') restoreName = getCopyName(parentNode, name, item.kind);
+      else await replaceItem(existing);
+    }
+
+    const previousHandle = currentFileHandle;
+    const handle = await writeTrashItem(item, parentHandle, restoreName);
+    const node = addTreeEntry(parentNode, handle);
+    await purgeTrashItem(id);
+    await refreshAfterTreeChange([node.path], previousHandle);
+    refreshTrashView();
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    console.error("Restore error:", err);
+    alert("Could not restore item. " + err.message);
+  }
+}
+
+async function purgeFromTrash(id) {
+  try {
+    await purgeTrashItem(id);
+  } catch (err) {
+    console.error("Trash error:", err);
+    alert("Could not delete item. " + err.message);
+  }
+  refreshTrashView();
+}
+
+async function emptyProjectTrash() {
+  if (!rootHandle) return;
+  if (!confirm(`Permanently delete everything in the Trash of "${rootHandle.name}"?`)) return;
+
+  try {
+    await emptyTrash(projectId);
+  } catch (err) {
+    console.error("Trash error:", err);
+    alert("Could not empty the Trash. " + err.message);
+  }
+  refreshTrashView();
+}
+
+async function refreshTrashView() {
+  if (activeSidebarView !== 'trash-view') return;
+  const listEl = document.getElementById('trash-list');
+
+  if (!rootHandle) {
+    listEl.innerHTML = '<div class="empty-message">No folder open</div>';
+    return;
+  }
+
+  let items;
+  try {
+    items = await listTrash(projectId);
+  } catch (err) {
+    console.error("Trash error:", err);
+    listEl.innerHTML = '';
+    const errorEl = document.createElement('div');
+    errorEl.className = 'empty-message';
+    errorEl.textContent = `Could not read the Trash: ${err.message}`;
+    listEl.appendChild(errorEl);
+    return;
+  }
+
+  listEl.innerHTML = '';
+  if (items.length === 0) {
+    listEl.innerHTML = '<div class="empty-message">The Trash is empty</div>';
+    return;
+  }
+  items.forEach(item => listEl.appendChild(createTrashEntry(item)));
+}
+
+function createTrashEntry(item) {
+  const name = item.path.split('/').pop();
+  const entry = document.createElement('div');
+  entry.className = 'file-item scm-entry trash-entry';
+  entry.title = `${item.path}\n${item.reason === 'overwrite' ? 'Overwritten' : 'Deleted'} ${formatRelativeDate(Math.floor(item.deletedAt / 1000))}`;
+  entry.innerHTML = `
+    <div class="file-item-content">
+      <div class="icon-box"></div>
+      <span class="scm-entry-name"></span>
+      <span class="scm-entry-dir"></span>
+      <button class="icon-btn scm-entry-action" data-op="restore" title="Restore">↺</button>
+      <button class="icon-btn scm-entry-action" data-op="purge" title="Delete Permanently">×</button>
+    </div>
+  `;
+  entry.querySelector('.icon-box').innerHTML = getIconForFile(name, item.kind);
+  entry.querySelector('.scm-entry-name').textContent = name;
+  entry.querySelector('.scm-entry-dir').textContent = getParentPath(item.path);
+
+  entry.querySelector('[data-op="restore"]').onclick = () => restoreFromTrash(item.id);
+  entry.querySelector('[data-op="purge"]').onclick = () => {
+    if (confirm(`Permanently delete "${item.path}" from the Trash?`)) purgeFromTrash(item.id);
+  };
+  return entry;
+}
+
+// --- Explorer Selection & Clipboard ---
+
+function selectOnly(path) {
+  selectedPaths = new Set([path]);
+  selectionAnchor = path;
+  updateSelectionClasses();
+}
+
+function toggleSelection(path) {
+  if (selectedPaths.has(path)) selectedPaths.delete(path);
+  else selectedPaths.add(path);
+  selectionAnchor = path;
+  updateSelectionClasses();
+}
+
+// Selects the visible items between the anchor and `path`
+function selectRange(path) {
+  const visible = Array.from(fileListEl.querySelectorAll('.file-item[data-path]'), el => el.dataset.path);
+  const from = visible.indexOf(selectionAnchor);
+  const to = visible.indexOf(path);
+  if (from === -1 || to === -1) {
+    selectOnly(path);
+    return;
+  }
+  selectedPaths = new Set(visible.slice(Math.min(from, to), Math.max(from, to) + 1));
+  updateSelectionClasses();
+}
+
+function updateSelectionClasses() {
+  const cutPaths = fileClipboard && fileClipboard.mode === 'cut' ? fileClipboard.paths : [];
+  fileListEl.querySelectorAll('.file-item[data-path]').forEach(el => {
+    el.classList.toggle('selected', selectedPaths.has(el.dataset.path));
+    el.classList.toggle('cut', cutPaths.includes(el.dataset.path));
+  });
+}
+
+// The selected nodes, leaving out those inside another selected folder
+function getSelectedNodes() {
+  const paths = Array.from(selectedPaths);
+  return paths
+    .filter(path => !paths.some(other => other !== path && isSameOrInside(path, other)))
+    .map(getTreeNode)
+    .filter(Boolean);
+}
+
+// Folder that pasting and importing go into: a selected folder, a selected
+// file's folder, or the project root
+function getPasteTarget(node) {
+  if (!node) {
+    const selected = getSelectedNodes();
+    node = selected.length === 1 ? selected[0] : fileTree;
+  }
+  return node.kind === 'directory' ? node : getTreeNode(getParentPath(node.path));
+}
+
+function copyToClipboard(mode) {
+  const nodes = getSelectedNodes();
+  if (nodes.length === 0) return;
+  fileClipboard = { mode, paths: nodes.map(node => node.path) };
+  updateSelectionClasses();
+}
+
+async function pasteItems(destNode) {
+  if (!fileClipboard || !destNode) return;
+
+  const { mode, paths } = fileClipboard;
+  const previousHandle = currentFileHandle;
+  const changed = [];
+  const pasted = [];
+  const skipped = [];
+  const done = new Set(); // Cut items that are where they were pasted, or gone
+
+  try {
+    await ensureDirectoryLoaded(destNode);
+    for (const path of paths) {
+      const node = getTreeNode(path);
+      if (!node) {
+        done.add(path);
+        continue;
+      }
+      if (node.kind === 'directory' && isSameOrInside(destNode.path, node.path)) {
+        skipped.push(path);
+        continue;
+      }
+      if (mode === 'cut' && destNode.path === getParentPath(node.path)) {
+        done.add(path);
+        continue;
+      }
+
+      const newName = destNode.children.has(node.name) ? getCopyName(destNode, node.name, node.kind) : node.name;
+      if (mode === 'cut') {
+        const newPath = await relocateItem(node, destNode, newName);
+        done.add(path);
+        changed.push(path, newPath);
+        pasted.push(newPath);
+      } else {
+        const newPath = await copyItem(node, destNode, newName);
+        changed.push(newPath);
+        pasted.push(newPath);
+      }
+    }
+  } catch (err) {
+    console.error("Paste error:", err);
+    alert("Could not paste all items. " + err.message);
+  }
+  // Whatever wasn't moved can still be pasted somewhere else
+  if (mode === 'cut') {
+    const remaining = paths.filter(path => !done.has(path));
+    fileClipboard = remaining.length > 0 ? { mode, paths: remaining } : null;
+  }
+
+  if (pasted.length > 0) {
+    selectedPaths = new Set(pasted);
+    if (destNode.path) destNode.isOpen = true;
+  }
+  await refreshAfterTreeChange(changed, previousHandle);
+
+  if (skipped.length > 0) {
+    alert(`A folder can't be pasted into itself:\n\n${skipped.join('\n')}`);
+  }
+}
+
+async function duplicateItems(nodes = getSelectedNodes()) {
+  const previousHandle = currentFileHandle;
+  const copies = [];
+
+  try {
+    for (const node of nodes) {
+      const parentNode = getTreeNode(getParentPath(node.path));
+      copies.push(await copyItem(node, parentNode, getCopyName(parentNode, node.name, node.kind)));
+    }
+  } catch (err) {
+    console.error("Duplicate error:", err);
+    alert("Could not duplicate all items. " + err.message);
+  }
+
+  if (copies.length > 0) selectedPaths = new Set(copies);
+  await refreshAfterTreeChange(copies, previousHandle);
+}
+
+// Ctrl/Cmd + C, X, V and D while the explorer has focus
+function setupTreeShortcuts() {
+  fileListEl.addEventListener('keydown', (e) => {
+    if (!(e.metaKey || e.ctrlKey) || e.target.tagName === 'INPUT' || !rootHandle) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'c') copyToClipboard('copy');
+    else if (key === 'x') copyToClipboard('cut');
+    else if (key === 'v') pasteItems(getPasteTarget());
+    else if (key === 'd') duplicateItems();
+    else return;
+    e.preventDefault();
+  });
+}
+
+// --- Context Menu ---
+
+let contextMenu = null;
+
+function showContextMenu(x, y, node) {
+  // Remove existing menu
+  if (contextMenu) {
+    contextMenu.remove();
+  }
+
+  contextMenu = document.createElement('div');
+  contextMenu.className = 'context-menu';
+  contextMenu.style.left = `${x}px`;
+  contextMenu.style.top = `${y}px`;
+
+  const menuItems = [];
+
+  // Right-clicking outside the selection selects just that item
+  if (!selectedPaths.has(node.path)) selectOnly(node.path);
+  const selection = getSelectedNodes();
+  const clipboardItems = [
+    { label: selection.length > 1 ? `Copy ${selection.length} Items` : 'Copy', icon: '⧉', action: () => copyToClipboard('copy') },
+    { label: selection.length > 1 ? `Cut ${selection.length} Items` : 'Cut', icon: '✂️', action: () => copyToClipboard('cut') }
+  ];
+  if (fileClipboard) {
+    clipboardItems.push({ label: 'Paste', icon: '📋', action: () => pasteItems(getPasteTarget(node)) });
+  }
+  clipboardItems.push({
+    label: selection.length > 1 ? `Duplicate ${selection.length} Items` : 'Duplicate',
+    icon: '⧉',
+    action: () => duplicateItems(selection)
+  });
+
+  if (selection.length > 1) {
+    menuItems.push(...clipboardItems);
+  }
+
+  if (selection.length <= 1 && node.kind === 'file' && isTextFile(node.name)) {
+    if (gitRepoDir) {
+      menuItems.push({
+        label: 'Compare with Index',
+        icon: '⇄',
+        action: () => openDiff({ kind: 'index', path: node.path }, { kind: 'workdir', path: node.path })
+      });
+      menuItems.push({
+        label: 'Compare with HEAD',
+        icon: '⇄',
+        action: () => openDiff({ kind: 'commit', ref: 'HEAD', path: node.path }, { kind: 'workdir', path: node.path })
+      });
+      menuItems.push({
+        label: 'Compare with Commit...',
+        icon: '⇄',
+        action: async () => {
+          const commit = await showCommitPicker();
+          if (!commit) return;
+          await openDiff(
+            { kind: 'commit', ref: commit.oid, label: commit.oid.slice(0, 7), path: node.path },
+            { kind: 'workdir', path: node.path }
+          );
+        }
+      });
+    }
+
+    if (compareSelection && compareSelection !== node.path && fileHandles.has(compareSelection)) {
+      const selected = compareSelection;
+      menuItems.push({
+        label: `Compare with ${selected.split('/').pop()}`,
+        icon: '⇄',
+        action: () => openDiff({ kind: 'file', path: selected }, { kind: 'file', path: node.path })
+      });
+    }
+    menuItems.push({
+      label: 'Select for Compare',
+      icon: '📌',
+      action: () => { compareSelection = node.path; }
+    });
+  }
+
+  if (selection.length <= 1 && gitRepoDir) {
+    menuItems.push({
+      label: 'Discard Changes',
+      icon: '↺',
+      action: () => discardChanges(node)
+    });
+    menuItems.push({
+      label: 'File History',
+      icon: '🕘',
+      action: () => showHistory(node.path)
+    });
+  }
+
+  if (selection.length <= 1) {
+    if (node.kind === 'directory') {
+      menuItems.push({
+        label: 'New File',
+        icon: '📄',
+        action: () => createNewFile(node)
+      });
+      menuItems.push({
+        label: 'New Folder',
+        icon: '📁',
+        action: () => createNewFolder(node)
+      });
+      menuItems.push({
+        label: 'Import Files...',
+        icon: '📥',
+        action: () => importFile(node)
+      });
+      menuItems.push({
+        label: 'Import Folder...',
+        icon: '📥',
+        action: () => importFolder(node)
+      });
+      menuItems.push({
+        label: 'Import ZIP...',
+        icon: '📥',
+        action: () => importZip(node)
+      });
+      menuItems.push({
+        label: 'Export as ZIP',
+        icon: '📦',
+        action: () => exportZip(node)
+      });
+    }
+
+    menuItems.push(...clipboardItems);
+
+    // Rename option
+    menuItems.push({
+      label: 'Rename',
+      icon: '✏️',
+      action: () => renameItem(node)
+    });
+
+    // Delete option
+    menuItems.push({
+      label: 'Delete',
+      icon: '🗑️',
+      action: () => deleteItem(node)
+    });
+  }
+
+  menuItems.forEach(item => {
+    const menuItem = document.createElement('div');
+    menuItem.className = 'context-menu-item';
+    menuItem.innerHTML = `<span class="menu-icon">${item.icon}</span><span>${item.label}</span>`;
+    menuItem.onclick = () => {
+      item.action();
+      contextMenu.remove();
+      contextMenu = null;
+    };
+    contextMenu.appendChild(menuItem);
+  });
+
+  document.body.appendChild(contextMenu);
+
+  // Close menu on click outside
+  const closeMenu = (e) => {
+    if (contextMenu && !contextMenu.contains(e.target)) {
+      contextMenu.remove();
+      contextMenu = null;
+      document.removeEventListener('click', closeMenu);
+    }
+  };
+  setTimeout(() => document.addEventListener('click', closeMenu), 0);
+}
+
+async function createNewFolder(parentNode = fileTree) {
+  if (!rootHandle) {
+    alert("Please open a project folder first.");
+    return;
+  }
+
+  // Set state to show inline input
+  await showCreateInput('folder', parentNode);
+}
+
+async function finalizeCreateFolder(folderName, parentNode) {
+  if (!folderName || !folderName.trim()) return;
+
+  try {
+    // Every missing folder of a nested path is created, existing ones are
+    // kept as they are
+    creatingNewItem = null;
+    await ensureFolderPath(parentNode, splitNewItemPath(folderName));
+    if (parentNode.path) parentNode.isOpen = true;
+    renderFileTree();
+  } catch (err) {
+    console.error("Error creating folder:", err);
+    alert("Could not create folder. " + err.message);
+    creatingNewItem = null;
+    renderFileTree();
+  }
+}
+
+async function renameItem(node) {
+  if (!rootHandle) return;
+  renamingItem = node;
+  renderFileTree();
+}
+
+async function finalizeRename(node, newName) {
+  try {
+    renamingItem = null;
+    const parentNode = getTreeNode(getParentPath(node.path));
+    const existing = parentNode.children.get(newName);
+    if (existing && existing !== node) {
+      if (!confirm(`"${newName}" already exists. Replace it?\n\nThe replaced item is moved to the Trash.`)) {
+        renderFileTree();
+        return;
+      }
+      await moveItemReplacing(node, parentNode, existing, newName);
+      return;
+    }
+    await moveItem(node, parentNode, newName);
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      console.error("Error renaming item:", err);
+      alert("Could not rename item. " + err.message);
+    }
+    renamingItem = null;
+    renderFileTree();
+  }
+}
+
+// Moves a file or folder into `destNode` as `newName`. Buffers (with any
+// unsaved edits), expanded folders and open tabs follow the new paths.
+async function moveItem(node, destNode, newName = node.name) {
+  const previousHandle = currentFileHandle;
+  const newPath = await relocateItem(node, destNode, newName);
+  await refreshAfterTreeChange([node.path, newPath], previousHandle);
+}
+
+// Moves `node` over `existing`. The item is moved in under a temporary name
+// first and only then takes the place of `existing`, so a move that fails
+// leaves the destination as it was.
+async function moveItemReplacing(node, destNode, existing, newName = node.name) {
+  const previousHandle = currentFileHandle;
+  const sourceNode = getTreeNode(getParentPath(node.path));
+  const trashId = await moveToTrash(existing, 'overwrite');
+
+  let tempPath;
+  try {
+    tempPath = await relocateItem(node, destNode, `.${newName}.${Date.now()}.moving`);
+  } catch (err) {
+    if (trashId !== null) await purgeTrashItem(trashId);
+    refreshTrashView();
+    throw err;
+  }
+  try {
+    await removeReplacedItem(existing, trashId);
+  } catch (err) {
+    await relocateItem(getTreeNode(tempPath), sourceNode, node.name);
+    if (trashId !== null) await purgeTrashItem(trashId);
+    refreshTrashView();
+    throw err;
+  }
+  const newPath = await relocateItem(getTreeNode(tempPath), destNode, newName);
+  await refreshAfterTreeChange([node.path, newPath], previousHandle);
+}
+
+// Moves an item on disk and in the tree model without redrawing anything.
+// Returns the new path.
+async function relocateItem(node, destNode, newName) {
+  const parentHandle = await getDirectoryHandleAt(getParentPath(node.path));
+  const destHandle = await getDirectoryHandleAt(destNode.path);
+  const newHandle = await moveEntry(node, parentHandle, destHandle, newName);
+
+  const newPath = destNode.path ? `${destNode.path}/${newName}` : newName;
+  const movePath = (path) => isSameOrInside(path, node.path) ? newPath + path.slice(node.path.length) : path;
+
+  // Swap the subtree
+  const activePath = currentFileHandle ? getPathFromHandle(currentFileHandle) : null;
+  const buffers = new Map();
+  for (const [path, content] of fileContent) {
+    if (isSameOrInside(path, node.path)) buffers.set(movePath(path), content);
+  }
+  const diskStates = new Map();
+  for (const [path, state] of diskState) {
+    if (isSameOrInside(path, node.path)) diskStates.set(movePath(path), state);
+  }
+  const openFolders = new Set(Array.from(collectOpenFolders(node), movePath));
+
+  removeTreeEntry(node);
+  await ensureDirectoryLoaded(destNode);
+  const newNode = addTreeEntry(destNode, newHandle);
+  newNode.isOpen = node.isOpen;
+  if (newNode.isOpen) await ensureDirectoryLoaded(newNode);
+  await restoreOpenFolders(newNode, openFolders);
+  buffers.forEach((content, path) => fileContent.set(path, content));
+  diskStates.forEach((state, path) => diskState.set(path, state));
+
+  openTabs = openTabs.map(movePath);
+  if (activePath && isSameOrInside(activePath, node.path)) {
+    // The active file may sit in a collapsed folder that isn't listed yet
+    await ensurePathLoaded(movePath(activePath));
+    currentFileHandle = fileHandles.get(movePath(activePath));
+  }
+  return newPath;
+}
+
+// Brings the explorer, git decorations, tabs and the editor up to date after
+// one or more file operations. An open file that moved is shown again from
+// its new path.
+async function refreshAfterTreeChange(paths, previousHandle) {
+  renderFileTree();
+  await updateGitignoreRules(paths);
+  updateTreeStatus(paths);
+
+  if (currentFileHandle && currentFileHandle !== previousHandle && !activeDiffKey) {
+    await loadFile(getPathFromHandle(currentFileHandle));
+  } else {
+    renderTabs();
+  }
+}
+
+// Uses the native move() when the browser has it for this kind of handle,
+// and copies then deletes otherwise. Returns the handle at the new location.
+async function moveEntry(node, parentHandle, destHandle, newName) {
+  if (typeof node.handle.move === 'function') {
+    try {
+      await node.handle.move(destHandle, newName);
+      return node.kind === 'file'
+        ? await destHandle.getFileHandle(newName)
+        : await destHandle.getDirectoryHandle(newName);
+    } catch (err) {
+      // Moving folders (or moving at all) isn't supported everywhere yet
+    }
+  }
+
+  let newHandle;
+  if (node.kind === 'file') {
+    // Copy file content
+    const oldFile = await node.handle.getFile();
+    const content = await oldFile.arrayBuffer();
+
+    newHandle = await destHandle.getFileHandle(newName, { create: true });
+    const writable = await newHandle.createWritable();
+    await writable.write(content);
+    await writable.close();
+
+    // Delete old file
+    await parentHandle.removeEntry(node.name);
+  } else {
+    // For directories, recursively copy
+    newHandle = await copyDirectory(node.handle, destHandle, newName);
+    // Delete old directory
+    await parentHandle.removeEntry(node.name, { recursive: true });
+  }
+  return newHandle;
+}
+
+// Drag and drop target: moves `node` into `destNode`, asking what to do when
+// the folder already has an entry of that name
+async function moveToFolder(node, destNode) {
+  if (destNode.path === getParentPath(node.path)) return;
+  if (node.kind === 'directory' && isSameOrInside(destNode.path, node.path)) {
+    alert("A folder can't be moved into itself.");
+    return;
+  }
+
+  try {
+    await ensureDirectoryLoaded(destNode);
+    let newName = node.name;
+    const existing = destNode.children.get(node.name);
+    if (existing) {
+      const choice = await showNameConflictDialog(node.name, destNode.path || rootHandle.name);
+      if (choice === 'cancel') return;
+      if (choice === 'keep') {
+        newName = getCopyName(destNode, node.name, node.kind);
+      } else if (isSameOrInside(node.path, existing.path)) {
+        alert(`"${existing.path}" contains the item being moved and can't be replaced.`);
+        return;
+      } else {
+        await moveItemReplacing(node, destNode, existing);
+        return;
+      }
+    }
+    await moveItem(node, destNode, newName);
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      console.error("Error moving item:", err);
+      alert("Could not move item. " + err.message);
+    }
+    renderFileTree();
+  }
+}
+
+// Moves an entry that is about to be overwritten to the trash, closing its
+// tabs
+async function replaceItem(node) {
+  await removeReplacedItem(node, await moveToTrash(node, 'overwrite'));
+}
+
+// Removes an overwritten entry whose copy went to the trash as `trashId`
+async function removeReplacedItem(node, trashId) {
+  const parentHandle = await getDirectoryHandleAt(getParentPath(node.path));
+  await parentHandle.removeEntry(node.name, { recursive: node.kind === 'directory' });
+  showUndoToast(`Replaced ${node.name}`, trashId);
+
+  const activePath = currentFileHandle ? getPathFromHandle(currentFileHandle) : null;
+  removeTreeEntry(node);
+  openTabs = openTabs.filter(path => diffTabs.has(path) || !isSameOrInside(path, node.path));
+  if (activePath && isSameOrInside(activePath, node.path)) {
+    currentFileHandle = null;
+    if (!activeDiffKey) showWelcomeScreen();
+  }
+}
+
+// "name copy.ext", then "name copy 2.ext" and so on
+function getCopyName(parentNode, name, kind) {
+  const dot = kind === 'file' ? name.lastIndexOf('.') : -1;
+  const [base, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+  let candidate = `${base} copy${ext}`;
+  for (let i = 2; parentNode.children.has(candidate); i++) {
+    candidate = `${base} copy ${i}${ext}`;
+  }
+  return candidate;
+}
+
+// Copies a file or folder (as saved on disk) into `destNode` as `newName`
+// without redrawing anything. Returns the new path.
+async function copyItem(node, destNode, newName) {
+  const destHandle = await getDirectoryHandleAt(destNode.path);
+  let newHandle;
+  if (node.kind === 'file') {
+    const file = await node.handle.getFile();
+    newHandle = await destHandle.getFileHandle(newName, { create: true });
+    const writable = await newHandle.createWritable();
+    await writable.write(file);
+    await writable.close();
+  } else {
+    newHandle = await copyDirectory(node.handle, destHandle, newName);
+  }
+
+  await ensureDirectoryLoaded(destNode);
+  return addTreeEntry(destNode, newHandle).path;
+}
+
+// Resolves to 'replace', 'keep' (both, renaming the incoming one) or 'cancel'
+function showNameConflictDialog(name, folderLabel) {
+  return new Promise((resolve) => {
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'modal-overlay';
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content fade-in';
+    modalContent.innerHTML = `
+      <div class="modal-header">
+        <h3>Name Conflict</h3>
+        <button class="icon-btn" id="modal-close">×</button>
+      </div>
+      <div class="modal-body modal-form">
+        <p class="modal-text"></p>
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary" data-choice="cancel">Cancel</button>
+          <button type="button" class="btn btn-secondary" data-choice="keep">Keep Both</button>
+          <button type="button" class="btn btn-primary" data-choice="replace">Replace</button>
+        </div>
+      </div>
+    `;
+    modalContent.querySelector('.modal-text').textContent = `"${folderLabel}" already contains an item named "${name}". Replace it?`;
+    modalOverlay.appendChild(modalContent);
+    document.body.appendChild(modalOverlay);
+
+    const finish = (choice) => {
+      modalOverlay.remove();
+      resolve(choice);
+    };
+    modalContent.querySelectorAll('[data-choice]').forEach(btn => {
+      btn.onclick = () => finish(btn.dataset.choice);
+    });
+    modalContent.querySelector('#modal-close').onclick = () => finish('cancel');
+    modalOverlay.onclick = (e) => { if (e.target === modalOverlay) finish('cancel'); };
+  });
+}
+
+async function copyDirectory(srcHandle, destParentHandle, newName) {
+  const newDirHandle = await destParentHandle.getDirectoryHandle(newName, { create: true });
+  for await (const entry of srcHandle.values()) {
+    if (entry.kind === 'file') {
+      const file = await entry.getFile();
+      const newFileHandle = await newDirHandle.getFileHandle(entry.name, { create: true });
+      const writable = await newFileHandle.createWritable();
+      await writable.write(file);
+      await writable.close();
+    } else if (entry.kind === 'directory') {
+      await copyDirectory(entry, newDirHandle, entry.name);
+    }
+  }
+  return newDirHandle;
+}
+
+
+
+async function deleteItem(node) {
+  if (!rootHandle) return;
+
+  const target = node.kind === 'directory' ? `the folder "${node.path}" and everything in it` : `"${node.path}"`;
+  if (!confirm(`Delete ${target}?\n\nIt is moved to the Trash, where you can restore it.`)) return;
+
+  try {
+    const parentHandle = await getDirectoryHandleAt(getParentPath(node.path));
+
+    // Keep a copy in the trash, then remove the entry
+    const trashId = await moveToTrash(node, 'delete');
+    await parentHandle.removeEntry(node.name, { recursive: node.kind === 'directory' });
+    showUndoToast(`Deleted ${node.name}`, trashId);
+
+    const activePath = currentFileHandle ? getPathFromHandle(currentFileHandle) : null;
+    removeTreeEntry(node);
+    renderFileTree();
+
+    await updateGitignoreRules([node.path]);
+    updateTreeStatus([node.path]);
+
+    // Update openTabs
+    openTabs = openTabs.filter(path => diffTabs.has(path) || !isSameOrInside(path, node.path));
+
+    // If the open file was deleted, switch to another tab
+    if (activePath && isSameOrInside(activePath, node.path)) {
+      currentFileHandle = null;
+      document.getElementById('current-file-label').textContent = 'No file open';
+
+      if (activeDiffKey) {
+        renderTabs();
+      } else if (openTabs.length > 0) {
+        await loadFile(openTabs[0]);
+      } else {
+        renderTabs();
+        showWelcomeScreen();
+      }
+    } else {
+      renderTabs();
+    }
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      console.error("Error deleting item:", err);
+      alert("Could not delete item. " + err.message);
+    }
+  }
+}
+
+// --- Git: Clone ---
+
+function getRepoNameFromUrl(url) {
+  const name = url.replace(/[\/]+$/, '').split(/[\/:]/).pop().replace(/\.git$/, '');
+  return name.replace(/[^\w.-]/g, '-') || 'repository';
+}
+
+function showCloneDialog() {
+  return new Promise((resolve) => {
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'modal-overlay';
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content fade-in';
+
+    modalContent.innerHTML = `
+      <div class="modal-header">
+        <h3>Clone Repository</h3>
+        <button class="icon-btn" id="modal-close">×</button>
+      </div>
+      <form class="modal-body modal-form" id="clone-form">
+        <label class="form-field">
+          <span>Repository URL</span>
+          <input type="text" name="url" placeholder="https://github.com/user/repo.git" autocomplete="off" required>
+        </label>
+        <div class="form-row">
+          <label class="form-field">
+            <span>Branch</span>
+            <input type="text" name="ref" placeholder="Default branch" autocomplete="off">
+          </label>
+          <label class="form-field">
+            <span>Depth</span>
+            <input type="number" name="depth" min="1" placeholder="Full history">
+          </label>
+        </div>
+        <label class="form-field">
+          <span>CORS Proxy</span>
+          <input type="text" name="corsProxy" placeholder="Optional, e.g. https://cors.isomorphic-git.org" autocomplete="off">
+        </label>
+        <div class="git-progress hidden" id="clone-progress">
+          <div class="git-progress-label"></div>
+          <progress></progress>
+        </div>
+        <div class="modal-error hidden" id="clone-error"></div>
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary" id="clone-cancel">Cancel</button>
+          <button type="submit" class="btn btn-primary" id="clone-submit">Clone</button>
+        </div>
+      </form>
+    `;
+
+    modalOverlay.appendChild(modalContent);
+    document.body.appendChild(modalOverlay);
+
+    const form = modalContent.querySelector('#clone-form');
+    const progressEl = modalContent.querySelector('#clone-progress');
+    const errorEl = modalContent.querySelector('#clone-error');
+    let busy = false;
+
+    setTimeout(() => form.elements.url.focus(), 0);
+
+    const closeModal = () => {
+      if (busy) return;
+      modalOverlay.remove();
+      resolve(null);
+    };
+
+    const reportProgress = ({ phase, loaded, total }) => {
+      progressEl.classList.remove('hidden');
+      const bar = progressEl.querySelector('progress');
+      if (total) {
+        bar.max = total;
+        bar.value = loaded;
+        progressEl.querySelector('.git-progress-label').textContent = `${phase} (${loaded}/${total})`;
+      } else {
+        bar.removeAttribute('value');
+        progressEl.querySelector('.git-progress-label').textContent = loaded ? `${phase} (${loaded})` : phase;
+      }
+    };
+
+    form.onsubmit = async (e) => {
+      e.preventDefault();
+      const url = form.elements.url.value.trim();
+      if (!url || busy) return;
+
+      const depth = parseInt(form.elements.depth.value, 10);
+      const options = {
+        url,
+        ref: form.elements.ref.value.trim() || undefined,
+        depth: depth > 0 ? depth : undefined,
+        corsProxy: form.elements.corsProxy.value.trim() || undefined
+      };
+
+      busy = true;
+      errorEl.classList.add('hidden');
+      modalContent.querySelector('#clone-submit').disabled = true;
+      reportProgress({ phase: 'Connecting' });
+
+      try {
+        const dir = await runClone(options, reportProgress);
+        busy = false;
+        modalOverlay.remove();
+        resolve(dir);
+      } catch (err) {
+        busy = false;
+        console.error("Clone error:", err);
+        progressEl.classList.add('hidden');
+        errorEl.textContent = `Could not clone repository: ${err.message}`;
+        errorEl.classList.remove('hidden');
+        modalContent.querySelector('#clone-submit').disabled = false;
+      }
+    };
+
+    modalContent.querySelector('#modal-close').onclick = closeModal;
+    modalContent.querySelector('#clone-cancel').onclick = closeModal;
+    modalOverlay.onclick = (e) => { if (e.target === modalOverlay) closeModal(); };
+  });
+}
+
+async function runClone({ url, ref, depth, corsProxy }, onProgress) {
+  const dir = `${GIT_DIR}/${getRepoNameFromUrl(url)}`;
+
+  let exists = false;
+  try {
+    await pf.stat(dir);
+    exists = true;
+  } catch (e) { }
+
+  if (exists) {
+    if (!confirm(`${dir} already exists in the workspace. Replace it with a fresh clone?`)) {
+      throw new Error(`${dir} already exists`);
+    }
+    await removeRecursive(pf, dir);
+  }
+
+  await pf.mkdir(dir);
+
+  try {
+    await git.clone({
+      fs,
+      http,
+      dir,
+      url,
+      ref,
+      depth,
+      corsProxy,
+      onProgress
+    });
+  } catch (err) {
+    // Don't leave a half-cloned repository behind
+    try {
+      await removeRecursive(pf, dir);
+    } catch (e) { }
+    throw err;
+  }
+
+  return dir;
+}
+
+async function cloneRepository() {
+  const dir = await showCloneDialog();
+  if (!dir) return;
+
+  try {
+    await openBrowserProject('lightningfs', dir.split('/').pop());
+  } catch (err) {
+    console.error("Error opening cloned repository:", err);
+    alert("Could not open cloned repository: " + err.message);
+  }
+}
+
+// --- Git: Folder Bridge ---
+
+// Local folders are mirrored into LightningFS (working tree and .git) so that
+// isomorphic-git can work on them. Changes made by git are written back to
+// the folder through its File System Access handles.
+
+// Each recent project has its own mirror, kept between sessions along with
+// its snapshot, so opening the folder again only copies what changed. A
+// project that couldn't be added to Recent Projects gets a mirror for the
+// session.
+async function attachGitBridge(handle, workspace) {
+  gitRepoDir = null;
+  const key = workspace ? getMirrorKey(workspace) : 'session';
+  const dir = `${MIRRORS_DIR}/${key}`;
+  gitBridge = { handle, dir, snapshot: new Map(), snapshotFile: workspace ? `${dir}.snapshot` : null };
+
+  let hasGitDir = false;
+  try {
+    await handle.getDirectoryHandle('.git');
+    hasGitDir = true;
+  } catch (e) { }
+  if (!hasGitDir) return;
+
+  const bridge = gitBridge;
+  await removeStaleMirrors(key);
+  const snapshot = bridge.snapshotFile && await loadSnapshot(pf, bridge.snapshotFile);
+  if (snapshot) {
+    bridge.snapshot = snapshot;
+    await runBridgeTask(() => pruneMirror(pf, dir, snapshot));
+  } else {
+    await resetBridgeDir(bridge);
+  }
+  // The repository comes first, so syncs know which files it tracks
+  await runBridgeTask(() => mirrorBridge(bridge, null, ['.git']));
+  gitRepoDir = dir;
+}
+
+function getMirrorKey(workspace) {
+  return workspace.id.replace(/[^\w-]/g, '-');
+}
+
+// Starts a mirror over empty, so files left over from earlier can't leak into
+// the repository
+async function resetBridgeDir(bridge) {
+  try {
+    await removeRecursive(pf, bridge.dir);
+  } catch (e) { }
+  await mkdirp(pf, bridge.dir);
+  bridge.snapshot.clear();
+  if (bridge.snapshotFile) await saveSnapshot(pf, bridge.snapshotFile, bridge.snapshot);
+}
+
+// Drops the mirrors of projects no longer in Recent Projects, and those of
+// older versions, which were kept by folder name in .local
+async function removeStaleMirrors(currentKey) {
+  try {
+    const keys = new Set((await listRecentWorkspaces()).map(getMirrorKey));
+    keys.add(currentKey);
+    for (const name of await pf.readdir(MIRRORS_DIR).catch(() => [])) {
+      if (!keys.has(name.replace(/\.snapshot$/, ''))) await removeRecursive(pf, `${MIRRORS_DIR}/${name}`);
+    }
+    await removeRecursive(pf, `${GIT_DIR}/.local`).catch(() => { });
+  } catch (err) {
+    console.error("Error removing old git mirrors:", err);
+  }
+}
+
+function runBridgeTask(task) {
+  const run = gitBridgeQueue.then(task);
+  gitBridgeQueue = run.catch(() => { });
+  return run;
+}
+
+// Copies changes on disk into the mirror, saving the snapshot when anything
+// changed. Returns the changed paths.
+async function mirrorBridge(bridge, shouldSkip, paths = null) {
+  const changed = await mirrorFolderToFs(bridge.handle, pf, bridge.dir, bridge.snapshot, shouldSkip, paths);
+  if (changed.length > 0 && bridge.snapshotFile) await saveSnapshot(pf, bridge.snapshotFile, bridge.snapshot);
+  return changed;
+}
+
+// Copies changes on disk into the mirror: everything, or with `paths` just
+// those files and folders
+async function syncFolderIntoGit(paths = null) {
+  if (!gitBridge || !gitRepoDir) return;
+  const bridge = gitBridge;
+  await runBridgeTask(async () => {
+    const shouldSkip = await getBridgeSkip(bridge.dir);
+    return mirrorBridge(bridge, shouldSkip, paths);
+  });
+}
+
+// Excluded files (node_modules, build output, ignored files) stay out of the
+// mirror, except for what the repository tracks
+async function getBridgeSkip(dir) {
+  let tracked = [];
+  try {
+    tracked = await git.listFiles({ fs, dir });
+  } catch (e) { }
+  const trackedFiles = new Set(tracked);
+  const trackedFolders = new Set();
+  tracked.forEach(path => {
+    for (let folder = getParentPath(path); folder; folder = getParentPath(folder)) trackedFolders.add(folder);
+  });
+
+  return (path, kind) => {
+    if (path === '.git' || path.startsWith('.git/')) return false;
+    if (!excludeRules.isExcluded(path, kind)) return false;
+    return kind === 'directory' ? !trackedFolders.has(path) : !trackedFiles.has(path);
+  };
+}
+
+// Returns the working tree files (outside .git) that were written back
+async function syncGitIntoFolder() {
+  if (!gitBridge || !gitRepoDir) return [];
+  const bridge = gitBridge;
+  const changed = await runBridgeTask(async () => {
+    const written = await mirrorFsToFolder(pf, bridge.dir, bridge.handle, bridge.snapshot);
+    if (written.length > 0 && bridge.snapshotFile) await saveSnapshot(pf, bridge.snapshotFile, bridge.snapshot);
+    return written;
+  });
+  return changed.filter(path => path !== '.git' && !path.startsWith('.git/'));
+}
+
+async function initializeRepository() {
+  if (gitRepoDir) return;
+
+  // LightningFS projects become a repository in place
+  const virtualDir = getVirtualProjectDir();
+  if (virtualDir) {
+    try {
+      await git.init({ fs, dir: virtualDir, defaultBranch: 'main' });
+      gitRepoDir = virtualDir;
+    } catch (err) {
+      console.error("Git init error:", err);
+      alert("Could not initialize repository: " + err.message);
+    }
+    refreshSourceControl();
+    return;
+  }
+  if (!gitBridge) return;
+
+  try {
+    await resetBridgeDir(gitBridge);
+    gitRepoDir = gitBridge.dir;
+    await syncFolderIntoGit();
+    await git.init({ fs, dir: gitRepoDir, defaultBranch: 'main' });
+    await syncGitIntoFolder();
+  } catch (err) {
+    console.error("Git init error:", err);
+    alert("Could not initialize repository: " + err.message);
+    gitRepoDir = null;
+  }
+
+  refreshSourceControl();
+}
+
+// --- Git: Source Control ---
+
+const AUTHOR_STORAGE_KEY = 'indextor-git-author';
+
+function setupSourceControl() {
+  document.getElementById('scm-refresh-btn').addEventListener('click', refreshSourceControl);
+  document.getElementById('scm-remotes-btn').addEventListener('click', showRemotesDialog);
+  document.getElementById('scm-stash-btn').addEventListener('click', stashChanges);
+  document.getElementById('scm-fetch-btn').addEventListener('click', fetchChanges);
+  document.getElementById('scm-pull-btn').addEventListener('click', pullChanges);
+  document.getElementById('scm-push-btn').addEventListener('click', pushChanges);
+  document.getElementById('scm-commit-btn').addEventListener('click', commitChanges);
+  document.getElementById('scm-commit-message').addEventListener('keydown', (e) => {
+    if ((e.metaKey || e.ctrlKey) && e.key === 'Enter') {
+      e.preventDefault();
+      commitChanges();
+    }
+  });
+
+  const saved = JSON.parse(localStorage.getItem(AUTHOR_STORAGE_KEY) || '{}');
+  document.getElementById('scm-author-name').value = saved.name || '';
+  document.getElementById('scm-author-email').value = saved.email || '';
+}
+
+async function readWorkdirText(dir, filepath) {
+  try {
+    return await pf.readFile(`${dir}/${filepath}`, 'utf8');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Returns null when the file is not part of HEAD
+async function readHeadText(dir, filepath) {
+  try {
+    const oid = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+    const { blob } = await git.readBlob({ fs, dir, oid, filepath });
+    return new TextDecoder().decode(blob);
+  } catch (e) {
+    return null;
+  }
+}
+
+async function readIndexText(dir, filepath) {
+  const [oid] = await git.walk({
+    fs,
+    dir,
+    trees: [git.STAGE()],
+    map: async (path, [entry]) => {
+      if (path === '.' || filepath.startsWith(path + '/')) return undefined;
+      if (path !== filepath || !entry) return null;
+      return entry.oid();
+    }
+  });
+  if (!oid) return '';
+  const { blob } = await git.readBlob({ fs, dir, oid });
+  return new TextDecoder().decode(blob);
+}
+
+async function getStatusEntries(dir) {
+  const matrix = await git.statusMatrix({ fs, dir });
+  const staged = [];
+  const unstaged = [];
+  for (const row of matrix) {
+    const status = classifyStatusRow(row);
+    if (status.staged) staged.push({ path: row[0], status: status.staged });
+    if (status.unstaged) unstaged.push({ path: row[0], status: status.unstaged });
+  }
+  return { staged, unstaged, rows: matrix };
+}
+
+async function refreshSourceControl() {
+  const changesEl = document.getElementById('scm-changes');
+  const badge = document.getElementById('scm-badge');
+
+  await refreshRemoteSelect();
+  await refreshBranchIndicator();
+  await refreshStashList();
+
+  if (!gitRepoDir) {
+    badge.classList.add('hidden');
+    clearTreeStatus();
+    if (gitBridge || getVirtualProjectDir()) {
+      changesEl.innerHTML = `
+        <div class="empty-message">This project is not a Git repository.</div>
+        <div class="scm-init"><button class="btn btn-primary" id="scm-init-btn">Initialize Repository</button></div>
+      `;
+      document.getElementById('scm-init-btn').onclick = initializeRepository;
+    } else {
+      changesEl.innerHTML = '<div class="empty-message">No Git repository open. Open a folder or clone a repository to use source control.</div>';
+    }
+    return;
+  }
+
+  let entries;
+  let mergeState;
+  let conflicts;
+  try {
+    await syncFolderIntoGit();
+    entries = await getStatusEntries(gitRepoDir);
+    mergeState = await readMergeState();
+    conflicts = await getConflictedPaths();
+  } catch (err) {
+    console.error("Git status error:", err);
+    changesEl.innerHTML = '';
+    const errorEl = document.createElement('div');
+    errorEl.className = 'empty-message';
+    errorEl.textContent = `Could not read repository status: ${err.message}`;
+    changesEl.appendChild(errorEl);
+    return;
+  }
+
+  updateGitBaseline();
+  updateBlame();
+  await applyTreeStatus(entries.rows);
+  updateTreeDecorations();
+
+  // Conflicted files are listed on their own until they are marked resolved
+  if (conflicts.length > 0) {
+    entries.staged = entries.staged.filter(entry => !conflicts.includes(entry.path));
+    entries.unstaged = entries.unstaged.filter(entry => !conflicts.includes(entry.path));
+  }
+
+  const total = conflicts.length + entries.staged.length + entries.unstaged.length;
+  badge.textContent = total;
+  badge.classList.toggle('hidden', total === 0);
+
+  const messageEl = document.getElementById('scm-commit-message');
+  if (mergeState && !messageEl.value.trim()) messageEl.value = mergeState.message;
+
+  changesEl.innerHTML = '';
+  if (mergeState) changesEl.appendChild(createMergeBanner(mergeState));
+  if (total === 0) {
+    changesEl.insertAdjacentHTML('beforeend', '<div class="empty-message">No changes</div>');
+    return;
+  }
+
+  if (conflicts.length) {
+    changesEl.appendChild(await createConflictGroup(conflicts));
+  }
+  if (entries.staged.length) {
+    changesEl.appendChild(await createScmGroup('Staged Changes', entries.staged, true));
+  }
+  if (entries.unstaged.length) {
+    changesEl.appendChild(await createScmGroup('Changes', entries.unstaged, false));
+  }
+}
+
+// Feeds the active file's HEAD version to the editor's change gutter
+async function updateGitBaseline() {
+  const view = editor;
+  if (!view || !currentFileHandle) return;
+
+  const path = getPathFromHandle(currentFileHandle);
+  const baseline = gitRepoDir && path ? await readHeadText(gitRepoDir, path) : null;
+  if (view === editor) {
+    view.dispatch({ effects: setGitBaseline.of(baseline) });
+  }
+}
+
+async function createScmGroup(title, entries, staged) {
+  const group = document.createElement('div');
+  group.className = 'scm-group';
+
+  const header = document.createElement('div');
+  header.className = 'scm-group-header';
+  header.innerHTML = `<span>${title}</span><span class="scm-count">${entries.length}</span>`;
+
+  const allBtn = document.createElement('button');
+  allBtn.className = 'icon-btn';
+  allBtn.title = staged ? 'Unstage All' : 'Stage All';
+  allBtn.textContent = staged ? '−' : '+';
+  allBtn.onclick = async () => {
+    try {
+      for (const entry of entries) {
+        if (staged) await unstageFile(entry.path);
+        else await stageFile(entry.path, entry.status);
+      }
+      await syncGitIntoFolder();
+    } catch (err) {
+      console.error("Git staging error:", err);
+      alert(`Could not ${staged ? 'unstage' : 'stage'} changes: ${err.message}`);
+    }
+    refreshSourceControl();
+  };
+  header.appendChild(allBtn);
+  group.appendChild(header);
+
+  for (const entry of entries) {
+    group.appendChild(await createScmEntry(entry, staged));
+  }
+  return group;
+}
+
+async function createScmEntry(entry, staged) {
+  const key = `${staged ? 'staged' : 'unstaged'}:${entry.path}`;
+  const isExpanded = expandedScmEntries.has(key);
+  const fileName = entry.path.split('/').pop();
+  const dirName = entry.path.includes('/') ? entry.path.substring(0, entry.path.lastIndexOf('/')) : '';
+
+  const container = document.createElement('div');
+  container.className = 'scm-entry-container';
+
+  const item = document.createElement('div');
+  item.className = `file-item scm-entry scm-${entry.status}`;
+  item.title = entry.path;
+
+  const canShowHunks = isTextFile(entry.path) && entry.status !== 'deleted';
+  item.innerHTML = `
+    <div class="file-item-content">
+      <div class="folder-arrow">${canShowHunks ? `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 18l6-6-6-6"/></svg>` : ''}</div>
+      <div class="icon-box">${getIconForFile(fileName, 'file')}</div>
+      <span class="scm-entry-name"></span>
+      <span class="scm-entry-dir"></span>
+      <button class="icon-btn scm-entry-diff" title="Open Changes">⇄</button>
+      <button class="icon-btn scm-entry-action" title="${staged ? 'Unstage' : 'Stage'}">${staged ? '−' : '+'}</button>
+      <span class="scm-status-letter">${STATUS_LETTERS[entry.status]}</span>
+    </div>
+  `;
+  item.querySelector('.scm-entry-name').textContent = fileName;
+  item.querySelector('.scm-entry-dir').textContent = dirName;
+  if (isExpanded) container.classList.add('folder-open');
+
+  item.onclick = async () => {
+    await loadFile(entry.path);
+  };
+
+  item.querySelector('.scm-entry-diff').onclick = (e) => {
+    e.stopPropagation();
+    if (staged) {
+      openDiff({ kind: 'commit', ref: 'HEAD', path: entry.path }, { kind: 'index', path: entry.path });
+    } else {
+      openDiff({ kind: 'index', path: entry.path }, { kind: 'workdir', path: entry.path });
+    }
+  };
+
+  item.querySelector('.folder-arrow').onclick = (e) => {
+    e.stopPropagation();
+    if (!canShowHunks) return;
+    if (isExpanded) expandedScmEntries.delete(key);
+    else expandedScmEntries.add(key);
+    refreshSourceControl();
+  };
+
+  item.querySelector('.scm-entry-action').onclick = async (e) => {
+    e.stopPropagation();
+    try {
+      if (staged) await unstageFile(entry.path);
+      else await stageFile(entry.path, entry.status);
+      await syncGitIntoFolder();
+    } catch (err) {
+      console.error("Git staging error:", err);
+      alert(`Could not ${staged ? 'unstage' : 'stage'} ${entry.path}: ${err.message}`);
+    }
+    refreshSourceControl();
+  };
+
+  container.appendChild(item);
+
+  if (isExpanded && canShowHunks) {
+    container.appendChild(await createHunkList(entry, staged));
+  }
+  return container;
+}
+
+async function createHunkList(entry, staged) {
+  const dir = gitRepoDir;
+  const indexText = await readIndexText(dir, entry.path);
+  const baseText = staged ? (await readHeadText(dir, entry.path)) ?? '' : indexText;
+  const targetText = staged ? indexText : await readWorkdirText(dir, entry.path);
+  const hunks = buildHunks(splitLines(baseText), splitLines(targetText));
+
+  const list = document.createElement('div');
+  list.className = 'scm-hunks';
+
+  hunks.forEach(hunk => {
+    const hunkEl = document.createElement('div');
+    hunkEl.className = 'scm-hunk';
+
+    const header = document.createElement('div');
+    header.className = 'scm-hunk-header';
+    const label = document.createElement('span');
+    label.textContent = formatHunkHeader(hunk);
+    const action = document.createElement('button');
+    action.className = 'btn btn-secondary scm-hunk-action';
+    action.textContent = staged ? 'Unstage Hunk' : 'Stage Hunk';
+    action.onclick = async () => {
+      try {
+        if (staged) await unstageHunk(entry.path, hunk);
+        else await stageHunk(entry.path, hunk);
+        await syncGitIntoFolder();
+      } catch (err) {
+        console.error("Git hunk staging error:", err);
+        alert(`Could not ${staged ? 'unstage' : 'stage'} hunk: ${err.message}`);
+      }
+      refreshSourceControl();
+    };
+    header.appendChild(label);
+    header.appendChild(action);
+    hunkEl.appendChild(header);
+
+    const pre = document.createElement('pre');
+    pre.className = 'scm-hunk-body';
+    hunk.lines.forEach(line => {
+      const lineEl = document.createElement('div');
+      lineEl.className = line.type === '+' ? 'diff-line-added' : line.type === '-' ? 'diff-line-removed' : 'diff-line-context';
+      lineEl.textContent = `${line.type}${line.text}`;
+      pre.appendChild(lineEl);
+    });
+    hunkEl.appendChild(pre);
+    list.appendChild(hunkEl);
+  });
+
+  return list;
+}
+
+async function stageFile(filepath, status) {
+  if (status === 'deleted') {
+    await git.remove({ fs, dir: gitRepoDir, filepath });
+  } else {
+    await git.add({ fs, dir: gitRepoDir, filepath });
+  }
+}
+
+async function unstageFile(filepath) {
+  await git.resetIndex({ fs, dir: gitRepoDir, filepath });
+}
+
+async function writeIndexText(filepath, text) {
+  const oid = await git.writeBlob({ fs, dir: gitRepoDir, blob: new TextEncoder().encode(text) });
+  await git.updateIndex({ fs, dir: gitRepoDir, filepath, oid, add: true });
+}
+
+async function stageHunk(filepath, hunk) {
+  const indexText = await readIndexText(gitRepoDir, filepath);
+  await writeIndexText(filepath, applyHunk(splitLines(indexText), hunk).join('\n'));
+}
+
+async function unstageHunk(filepath, hunk) {
+  const indexText = await readIndexText(gitRepoDir, filepath);
+  await writeIndexText(filepath, revertHunk(splitLines(indexText), hunk).join('\n'));
+}
+
+async function getCommitAuthor() {
+  const name = document.getElementById('scm-author-name').value.trim()
+    || await git.getConfig({ fs, dir: gitRepoDir, path: 'user.name' });
+  const email = document.getElementById('scm-author-email').value.trim()
+    || await git.getConfig({ fs, dir: gitRepoDir, path: 'user.email' });
+  return { name, email };
+}
+
+async function commitChanges() {
+  if (!gitRepoDir) return;
+
+  const messageEl = document.getElementById('scm-commit-message');
+  const message = messageEl.value.trim();
+  if (!message) {
+    alert("Please enter a commit message.");
+    messageEl.focus();
+    return;
+  }
+
+  try {
+    await syncFolderIntoGit();
+    const mergeState = await readMergeState();
+    const conflicts = await getConflictedPaths();
+    if (mergeState && conflicts.length > 0) {
+      alert(`Resolve all conflicts before committing the merge: ${conflicts.join(', ')}`);
+      return;
+    }
+
+    const { staged } = await getStatusEntries(gitRepoDir);
+    if (staged.length === 0 && !mergeState) {
+      alert("There are no staged changes to commit.");
+      return;
+    }
+
+    const author = await getCommitAuthor();
+    if (!author.name || !author.email) {
+      alert("Please set the author name and email before committing.");
+      document.querySelector('.scm-author').open = true;
+      return;
+    }
+
+    localStorage.setItem(AUTHOR_STORAGE_KEY, JSON.stringify(author));
+    await git.setConfig({ fs, dir: gitRepoDir, path: 'user.name', value: author.name });
+    await git.setConfig({ fs, dir: gitRepoDir, path: 'user.email', value: author.email });
+
+    if (mergeState) {
+      // Finish the merge with both branches as parents
+      const head = await git.resolveRef({ fs, dir: gitRepoDir, ref: 'HEAD' });
+      await git.commit({ fs, dir: gitRepoDir, message, author, parent: [head, mergeState.head] });
+      await clearMergeState();
+    } else {
+      await git.commit({ fs, dir: gitRepoDir, message, author });
+    }
+    await syncGitIntoFolder();
+    messageEl.value = '';
+  } catch (err) {
+    console.error("Commit error:", err);
+    alert("Could not commit: " + err.message);
+  }
+
+  refreshSourceControl();
+}
+
+// --- Git: Explorer Decorations ---
+
+// Applies statusMatrix rows covering `scope` (file or folder paths, or the
+// whole project when omitted). statusMatrix reports every tracked and
+// untracked file, so listed project files it leaves out are ignored. Folders
+// that aren't listed yet are checked against the ignore rules as a whole.
+async function applyTreeStatus(rows, scope = null) {
+  const inScope = (path) => !scope || scope.some(prefix => isSameOrInside(path, prefix));
+
+  for (const path of Array.from(treeStatus.keys())) {
+    if (inScope(path)) treeStatus.delete(path);
+  }
+
+  const reported = new Set();
+  const reportedFolders = new Set();
+  for (const row of rows) {
+    reported.add(row[0]);
+    for (let folder = getParentPath(row[0]); folder && !reportedFolders.has(folder); folder = getParentPath(folder)) {
+      reportedFolders.add(folder);
+    }
+    const status = treeStatusFromRow(row);
+    if (status) treeStatus.set(row[0], status);
+  }
+  for (const path of fileHandles.keys()) {
+    if (inScope(path) && !reported.has(path)) treeStatus.set(path, 'ignored');
+  }
+  for (const node of getUnlistedFolders(fileTree)) {
+    if (!inScope(node.path) || reportedFolders.has(node.path)) continue;
+    if (await git.isIgnored({ fs, dir: gitRepoDir, filepath: node.path })) treeStatus.set(node.path, 'ignored');
+  }
+  for (const path of await getConflictedPaths()) {
+    if (fileHandles.has(path)) treeStatus.set(path, 'conflicted');
+  }
+
+  folderStatus = computeFolderStatus();
+}
+
+function getUnlistedFolders(node, folders = []) {
+  for (const child of node.children.values()) {
+    if (child.kind !== 'directory') continue;
+    if (child.loaded) getUnlistedFolders(child, folders);
+    else folders.push(child);
+  }
+  return folders;
+}
+
+// Folders are marked when anything below them changed, and dimmed when
+// everything below them is ignored
+function computeFolderStatus() {
+  const result = new Map();
+  for (const [path, status] of treeStatus) {
+    if (status === 'ignored') continue;
+    for (let folder = getParentPath(path); folder && !result.has(folder); folder = getParentPath(folder)) {
+      result.set(folder, 'changed');
+    }
+  }
+  markIgnoredFolders(fileTree, result);
+  return result;
+}
+
+function markIgnoredFolders(node, result) {
+  let ignored;
+  if (!node.loaded) {
+    ignored = treeStatus.get(node.path) === 'ignored';
+  } else {
+    ignored = node.children.size > 0;
+    for (const child of node.children.values()) {
+      const childIgnored = child.kind === 'directory'
+        ? markIgnoredFolders(child, result)
+        : treeStatus.get(child.path) === 'ignored';
+      if (!childIgnored) ignored = false;
+    }
+  }
+
+  if (!node.path || result.has(node.path)) return false;
+  if (ignored) result.set(node.path, 'ignored');
+  return ignored;
+}
+
+function clearTreeStatus() {
+  if (treeStatus.size === 0 && folderStatus.size === 0) return;
+  treeStatus.clear();
+  folderStatus.clear();
+  updateTreeDecorations();
+}
+
+// Re-reads the status of the given files or folders only, after the explorer
+// or the editor changed them
+async function updateTreeStatus(paths) {
+  if (!gitRepoDir || paths.length === 0) return;
+
+  try {
+    await syncFolderIntoGit(paths);
+    const rows = await git.statusMatrix({ fs, dir: gitRepoDir, filepaths: paths });
+    await applyTreeStatus(rows, paths);
+    updateTreeDecorations();
+  } catch (err) {
+    console.error("Git status error:", err);
+  }
+}
+
+function decorateTreeItem(item) {
+  const { path, kind } = item.dataset;
+  const status = kind === 'directory' ? folderStatus.get(path) : treeStatus.get(path);
+
+  item.classList.remove('git-changed', 'git-ignored', 'git-modified', 'git-added', 'git-untracked', 'git-conflicted');
+  if (status) item.classList.add(`git-${status}`);
+
+  const content = item.querySelector('.file-item-content');
+  let badge = content.querySelector('.git-badge');
+  const letter = kind === 'directory'
+    ? (status === 'changed' ? '•' : null)
+    : STATUS_LETTERS[status];
+  if (!letter) {
+    if (badge) badge.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'git-badge';
+    content.appendChild(badge);
+  }
+  badge.textContent = letter;
+  badge.title = kind === 'directory' ? 'Contains changes' : status.charAt(0).toUpperCase() + status.slice(1);
+}
+
+function updateTreeDecorations() {
+  fileListEl.querySelectorAll('.file-item[data-path]').forEach(decorateTreeItem);
+}
+
+// --- Git: Remotes & Sync ---
+
+const CREDENTIALS_STORAGE_KEY = 'indextor-git-credentials';
+let gitSyncInProgress = false;
+
+// Tokens are kept for the browser session (sessionStorage) unless the user
+// asks to remember them on this device (localStorage, unencrypted)
+function loadStoredCredentials(storage) {
+  return JSON.parse(storage.getItem(CREDENTIALS_STORAGE_KEY) || '{}');
+}
+
+function getRemoteCredentials(url) {
+  return loadStoredCredentials(sessionStorage)[url] || loadStoredCredentials(localStorage)[url] || null;
+}
+
+// Stores credentials for the session, and with `persist` on this device too.
+// Null forgets them everywhere.
+function setRemoteCredentials(url, credentials, persist = false) {
+  [sessionStorage, localStorage].forEach(storage => {
+    const all = loadStoredCredentials(storage);
+    if (credentials && (storage === sessionStorage || persist)) all[url] = credentials;
+    else delete all[url];
+    storage.setItem(CREDENTIALS_STORAGE_KEY, JSON.stringify(all));
+  });
+}
+
+function showCredentialsDialog(url, message) {
+  return new Promise((resolve) => {
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'modal-overlay';
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content fade-in';
+
+    modalContent.innerHTML = `
+      <div class="modal-header">
+        <h3>Authentication Required</h3>
+        <button class="icon-btn" id="modal-close">×</button>
+      </div>
+      <form class="modal-body modal-form">
+        <p class="modal-text"></p>
+        <div class="modal-error hidden"></div>
+        <label class="form-field">
+          <span>Username</span>
+          <input type="text" name="username" placeholder="Optional for most token providers" autocomplete="off">
+        </label>
+        <label class="form-field">
+          <span>Personal Access Token</span>
+          <input type="password" name="token" autocomplete="off" required>
+        </label>
+        <label class="form-checkbox">
+          <input type="checkbox" name="remember">
+          <span>Remember on this device (stored unencrypted in the browser)</span>
+        </label>
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary" id="auth-cancel">Cancel</button>
+          <button type="submit" class="btn btn-primary">Continue</button>
+        </div>
+      </form>
+    `;
+    modalContent.querySelector('.modal-text').textContent = url;
+    if (message) {
+      const errorEl = modalContent.querySelector('.modal-error');
+      errorEl.textContent = message;
+      errorEl.classList.remove('hidden');
+    }
+
+    modalOverlay.appendChild(modalContent);
+    document.body.appendChild(modalOverlay);
+
+    const form = modalContent.querySelector('form');
+    setTimeout(() => form.elements.token.focus(), 0);
+
+    const closeModal = () => {
+      modalOverlay.remove();
+      resolve(null);
+    };
+
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const token = form.elements.token.value.trim();
+      if (!token) return;
+      modalOverlay.remove();
+      resolve({
+        username: form.elements.username.value.trim(),
+        token,
+        remember: form.elements.remember.checked
+      });
+    };
+
+    modalContent.querySelector('#modal-close').onclick = closeModal;
+    modalContent.querySelector('#auth-cancel').onclick = closeModal;
+    modalOverlay.onclick = (e) => { if (e.target === modalOverlay) closeModal(); };
+  });
+}
+
+function toGitAuth({ username, token }) {
+  // Token providers accept any username alongside the token as password
+  return { username: username || 'x-access-token', password: token };
+}
+
+// onAuth / onAuthFailure callbacks for isomorphic-git, keyed by remote URL
+function createAuthCallbacks(remoteUrl) {
+  const askForCredentials = async (message) => {
+    const credentials = await showCredentialsDialog(remoteUrl, message);
+    if (!credentials) return { cancel: true };
+    setRemoteCredentials(remoteUrl, { username: credentials.username, token: credentials.token }, credentials.remember);
+    return toGitAuth(credentials);
+  };
+
+  return {
+    onAuth: async () => {
+      const stored = getRemoteCredentials(remoteUrl);
+      return stored ? toGitAuth(stored) : askForCredentials();
+    },
+    onAuthFailure: async () => {
+      setRemoteCredentials(remoteUrl, null);
+      return askForCredentials('The remote rejected these credentials. Please enter a valid token.');
+    }
+  };
+}
+
+async function refreshRemoteSelect() {
+  const select = document.getElementById('scm-remote-select');
+  const previous = select.value;
+  select.innerHTML = '';
+
+  let remotes = [];
+  if (gitRepoDir) {
+    try {
+      remotes = await git.listRemotes({ fs, dir: gitRepoDir });
+    } catch (e) { }
+  }
+
+  if (remotes.length === 0) {
+    select.innerHTML = '<option value="">No remotes</option>';
+  }
+  remotes.forEach(({ remote, url }) => {
+    const option = document.createElement('option');
+    option.value = remote;
+    option.textContent = remote;
+    option.title = url;
+    select.appendChild(option);
+  });
+
+  if (remotes.some(r => r.remote === previous)) select.value = previous;
+  else if (remotes.some(r => r.remote === 'origin')) select.value = 'origin';
+
+  document.querySelectorAll('#scm-fetch-btn, #scm-pull-btn, #scm-push-btn').forEach(btn => {
+    btn.disabled = remotes.length === 0;
+  });
+
+  await updateSyncStatus();
+}
+
+function showSyncStatus(text, type = 'info') {
+  const statusEl = document.getElementById('scm-sync-status');
+  statusEl.className = `scm-sync-status scm-sync-${type}`;
+  statusEl.textContent = text;
+}
+
+function hideSyncStatus() {
+  document.getElementById('scm-sync-status').classList.add('hidden');
+}
+
+function showSyncProgress({ phase, loaded, total }) {
+  showSyncStatus(total ? `${phase}: ${Math.round((loaded / total) * 100)}%` : `${phase}...`, 'progress');
+}
+
+async function getSyncTarget() {
+  const remote = document.getElementById('scm-remote-select').value;
+  if (!remote) throw new Error('This repository has no remotes. Add one under "Manage Remotes".');
+
+  const branch = await git.currentBranch({ fs, dir: gitRepoDir });
+  if (!branch) throw new Error('HEAD is detached. Check out a branch first.');
+
+  const url = await git.getConfig({ fs, dir: gitRepoDir, path: `remote.${remote}.url` });
+  return { remote, branch, url };
+}
+
+async function countCommitsUntil(ref, stopOid) {
+  const commits = await git.log({ fs, dir: gitRepoDir, ref, depth: 1000 });
+  const index = commits.findIndex(commit => commit.oid === stopOid);
+  return index === -1 ? commits.length : index;
+}
+
+// Compares the current branch with its remote tracking branch. Returns null
+// when there is nothing to compare against.
+async function getTrackingState(remote, branch) {
+  let localOid;
+  let remoteOid;
+  try {
+    localOid = await git.resolveRef({ fs, dir: gitRepoDir, ref: `refs/heads/${branch}` });
+    remoteOid = await git.resolveRef({ fs, dir: gitRepoDir, ref: `refs/remotes/${remote}/${branch}` });
+  } catch (e) {
+    return null;
+  }
+
+  if (localOid === remoteOid) return { localOid, remoteOid, ahead: 0, behind: 0 };
+
+  const [base] = await git.findMergeBase({ fs, dir: gitRepoDir, oids: [localOid, remoteOid] });
+  return {
+    localOid,
+    remoteOid,
+    base,
+    ahead: await countCommitsUntil(localOid, base),
+    behind: await countCommitsUntil(remoteOid, base)
+  };
+}
+
+function describeTrackingState(state, remote, branch) {
+  const tracking = `${remote}/${branch}`;
+  if (state.ahead === 0 && state.behind === 0) return `Up to date with ${tracking}.`;
+  if (state.behind === 0) return `${state.ahead} commit(s) ahead of ${tracking}. Push to publish them.`;
+  if (state.ahead === 0) return `${state.behind} commit(s) behind ${tracking}. Pull to fast-forward.`;
+  return `Your branch and ${tracking} have diverged: ${state.ahead} local and ${state.behind} remote commit(s) differ. Pull to merge them.`;
+}
+
+async function updateSyncStatus() {
+  if (gitSyncInProgress) return;
+  if (!gitRepoDir) {
+    hideSyncStatus();
+    return;
+  }
+  try {
+    const { remote, branch } = await getSyncTarget();
+    const state = await getTrackingState(remote, branch);
+    if (!state) {
+      hideSyncStatus();
+      return;
+    }
+    const diverged = state.ahead > 0 && state.behind > 0;
+    showSyncStatus(describeTrackingState(state, remote, branch), diverged ? 'warning' : 'info');
+  } catch (e) {
+    hideSyncStatus();
+  }
+}
+
+async function runGitSync(label, operation) {
+  if (!gitRepoDir || gitSyncInProgress) return;
+  gitSyncInProgress = true;
+  document.querySelectorAll('#scm-fetch-btn, #scm-pull-btn, #scm-push-btn').forEach(btn => btn.disabled = true);
+  showSyncStatus(`${label}...`, 'progress');
+
+  let result;
+  try {
+    await syncFolderIntoGit();
+    const target = await getSyncTarget();
+    result = await operation({ ...target, ...createAuthCallbacks(target.url) });
+    const changedFiles = await syncGitIntoFolder();
+    if (result.worktreeChanged || changedFiles.length > 0) await reloadProjectFiles();
+  } catch (err) {
+    result = { message: describeSyncError(label, err), type: 'error' };
+  }
+
+  gitSyncInProgress = false;
+  document.querySelectorAll('#scm-fetch-btn, #scm-pull-btn, #scm-push-btn').forEach(btn => btn.disabled = false);
+
+  // Refresh first so the tracking summary doesn't replace the outcome
+  await refreshSourceControl();
+  showSyncStatus(result.message, result.type || 'success');
+}
+
+function describeSyncError(label, err) {
+  switch (err.code) {
+    case 'UserCanceledError':
+      return `${label} canceled.`;
+    case 'PushRejectedError':
+      return err.data.reason === 'tag-exists'
+        ? 'Push rejected: a tag with the same name already exists on the remote.'
+        : 'Push rejected: the remote branch has commits you do not have. Pull and integrate them, then push again.';
+    case 'GitPushError':
+      return `Push rejected by the remote: ${err.data.result.error || err.message}`;
+    case 'HttpError':
+      return `${label} failed: the server responded with ${err.data.statusCode} ${err.data.statusMessage}.`;
+    default:
+      return `${label} failed: ${err.message}`;
+  }
+}
+
+// Fetches every branch of the remote, so the branch list sees new ones
+function fetchChanges() {
+  return runGitSync('Fetch', async ({ remote, branch, onAuth, onAuthFailure }) => {
+    await git.fetch({
+      fs,
+      http,
+      dir: gitRepoDir,
+      remote,
+      onAuth,
+      onAuthFailure,
+      onProgress: showSyncProgress
+    });
+    const state = await getTrackingState(remote, branch);
+    if (!state) return { message: `Fetched from ${remote}. The remote has no branch named ${branch}.`, type: 'info' };
+    const diverged = state.ahead > 0 && state.behind > 0;
+    return { message: describeTrackingState(state, remote, branch), type: diverged ? 'warning' : 'success' };
+  });
+}
+
+// Unsaved edits are saved first: the merge only sees what is on disk, and the
+// files are reloaded from disk afterwards
+async function pullChanges() {
+  if (gitSyncInProgress || !(await saveUnsavedTabs('pull'))) return;
+  return runGitSync('Pull', async ({ remote, branch, onAuth, onAuthFailure }) => {
+    await git.fetch({
+      fs,
+      http,
+      dir: gitRepoDir,
+      remote,
+      ref: branch,
+      singleBranch: true,
+      onAuth,
+      onAuthFailure,
+      onProgress: showSyncProgress
+    });
+
+    const state = await getTrackingState(remote, branch);
+    if (!state) return { message: `The remote ${remote} has no branch named ${branch}.`, type: 'warning' };
+    if (state.behind === 0) return { message: describeTrackingState(state, remote, branch), type: 'info' };
+
+    const result = await mergeIntoCurrentBranch(branch, `${remote}/${branch}`, `${remote}/${branch}`);
+    if (result.fastForward) {
+      result.message = `Fast-forwarded ${branch} by ${state.behind} commit(s) from ${remote}/${branch}.`;
+    }
+    return result;
+  });
+}
+
+function pushChanges() {
+  return runGitSync('Push', async ({ remote, branch, onAuth, onAuthFailure }) => {
+    const result = await git.push({
+      fs,
+      http,
+      dir: gitRepoDir,
+      remote,
+      ref: branch,
+      onAuth,
+      onAuthFailure,
+      onProgress: showSyncProgress
+    });
+
+    if (!result.ok) {
+      const refResult = result.refs[`refs/heads/${branch}`];
+      const reason = (refResult && refResult.error) || result.error || 'unknown error';
+      return { message: `Push rejected by the remote: ${reason}`, type: 'error' };
+    }
+    return { message: `Pushed ${branch} to ${remote}.` };
+  });
+}
+
+function showRemotesDialog() {
+  if (!gitRepoDir) {
+    alert("Please open a Git repository first.");
+    return;
+  }
+
+  const modalOverlay = document.createElement('div');
+  modalOverlay.className = 'modal-overlay';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content fade-in';
+  modalContent.innerHTML = `
+    <div class="modal-header">
+      <h3>Remotes</h3>
+      <button class="icon-btn" id="modal-close">×</button>
+    </div>
+    <div class="modal-body">
+      <div class="remote-list"></div>
+      <form class="modal-form remote-add-form">
+        <div class="form-row">
+          <label class="form-field">
+            <span>Name</span>
+            <input type="text" name="remote" placeholder="origin" autocomplete="off" required>
+          </label>
+          <label class="form-field" style="flex: 2;">
+            <span>URL</span>
+            <input type="text" name="url" placeholder="https://github.com/user/repo.git" autocomplete="off" required>
+          </label>
+        </div>
+        <div class="modal-error hidden"></div>
+        <div class="modal-actions">
+          <button type="submit" class="btn btn-primary">Add Remote</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  modalOverlay.appendChild(modalContent);
+  document.body.appendChild(modalOverlay);
+
+  const listEl = modalContent.querySelector('.remote-list');
+  const form = modalContent.querySelector('.remote-add-form');
+  const errorEl = form.querySelector('.modal-error');
+
+  const renderRemotes = async () => {
+    const remotes = await git.listRemotes({ fs, dir: gitRepoDir });
+    listEl.innerHTML = remotes.length ? '' : '<div class="empty-message">No remotes configured</div>';
+
+    remotes.forEach(({ remote, url }) => {
+      const row = document.createElement('div');
+      row.className = 'remote-item';
+      row.innerHTML = `
+        <div class="remote-info">
+          <span class="remote-name"></span>
+          <span class="remote-url"></span>
+          <span class="remote-token"></span>
+        </div>
+        <button class="btn btn-secondary" data-action="token"></button>
+        <button class="btn btn-secondary" data-action="remove">Remove</button>
+      `;
+      const hasToken = !!getRemoteCredentials(url);
+      row.querySelector('.remote-name').textContent = remote;
+      row.querySelector('.remote-url').textContent = url;
+      row.querySelector('.remote-token').textContent = hasToken ? 'Token saved' : 'No token saved';
+      row.querySelector('[data-action="token"]').textContent = hasToken ? 'Forget Token' : 'Set Token';
+
+      row.querySelector('[data-action="token"]').onclick = async () => {
+        if (hasToken) {
+          setRemoteCredentials(url, null);
+        } else {
+          const credentials = await showCredentialsDialog(url);
+          if (credentials) setRemoteCredentials(url, { username: credentials.username, token: credentials.token }, credentials.remember);
+        }
+        renderRemotes();
+      };
+
+      row.querySelector('[data-action="remove"]').onclick = async () => {
+        if (!confirm(`Remove remote "${remote}"?`)) return;
+        await git.deleteRemote({ fs, dir: gitRepoDir, remote });
+        await syncGitIntoFolder();
+        renderRemotes();
+        refreshRemoteSelect();
+      };
+
+      listEl.appendChild(row);
+    });
+  };
+
+  form.onsubmit = async (e) => {
+    e.preventDefault();
+    const remote = form.elements.remote.value.trim();
+    const url = form.elements.url.value.trim();
+    if (!remote || !url) return;
+
+    try {
+      await git.addRemote({ fs, dir: gitRepoDir, remote, url });
+      await syncGitIntoFolder();
+      form.reset();
+      errorEl.classList.add('hidden');
+      renderRemotes();
+      refreshRemoteSelect();
+    } catch (err) {
+      errorEl.textContent = `Could not add remote: ${err.message}`;
+      errorEl.classList.remove('hidden');
+    }
+  };
+
+  const closeModal = () => modalOverlay.remove();
+  modalContent.querySelector('#modal-close').onclick = closeModal;
+  modalOverlay.onclick = (e) => { if (e.target === modalOverlay) closeModal(); };
+
+  renderRemotes();
+}
+
+// --- Git: Merge Conflicts ---
+
+// isomorphic-git doesn't record an in-progress merge, so MERGE_HEAD and
+// MERGE_MSG are written the way git does it. Modify/delete conflicts have no
+// markers in the file; they are listed in MERGE_DELETIONS until resolved, and
+// kept here as read from there.
+let unresolvedDeletions = new Set();
+
+async function readMergeState() {
+  if (!gitRepoDir) return null;
+  let head;
+  try {
+    head = (await pf.readFile(`${gitRepoDir}/.git/MERGE_HEAD`, 'utf8')).trim();
+  } catch (e) {
+    return null;
+  }
+  let message = '';
+  try {
+    message = (await pf.readFile(`${gitRepoDir}/.git/MERGE_MSG`, 'utf8')).trim();
+  } catch (e) { }
+  try {
+    const deletions = await pf.readFile(`${gitRepoDir}/.git/MERGE_DELETIONS`, 'utf8');
+    unresolvedDeletions = new Set(deletions.split('\n').filter(Boolean));
+  } catch (e) {
+    unresolvedDeletions.clear();
+  }
+  return { head, message };
+}
+
+async function writeMergeState(theirOid, message, deletions) {
+  await pf.writeFile(`${gitRepoDir}/.git/MERGE_HEAD`, `${theirOid}\n`, 'utf8');
+  await pf.writeFile(`${gitRepoDir}/.git/MERGE_MSG`, `${message}\n`, 'utf8');
+  unresolvedDeletions = new Set(deletions);
+  await writeUnresolvedDeletions();
+}
+
+async function writeUnresolvedDeletions() {
+  const text = Array.from(unresolvedDeletions, path => `${path}\n`).join('');
+  await pf.writeFile(`${gitRepoDir}/.git/MERGE_DELETIONS`, text, 'utf8');
+}
+
+async function clearMergeState() {
+  for (const name of ['MERGE_HEAD', 'MERGE_MSG', 'MERGE_DELETIONS']) {
+    try {
+      await pf.unlink(`${gitRepoDir}/.git/${name}`);
+    } catch (e) { }
+  }
+  unresolvedDeletions.clear();
+}
+
+// While a merge is in progress: the changed files with conflict markers (in
+// their unsaved buffer, or else on disk) plus unresolved modify/delete
+// conflicts
+async function getConflictedPaths() {
+  if (!(await readMergeState())) return [];
+
+  const paths = new Set();
+  const rows = await git.statusMatrix({ fs, dir: gitRepoDir });
+  for (const [filepath, head, workdir, stage] of rows) {
+    if (workdir === 0) continue;
+    if (unresolvedDeletions.has(filepath)) {
+      paths.add(filepath);
+      continue;
+    }
+    // Unchanged and untracked files aren't part of the merge
+    if ((head === 1 && workdir === 1 && stage === 1) || (head === 0 && stage === 0)) continue;
+    const content = fileContent.has(filepath) ? fileContent.get(filepath) : await readWorkdirText(gitRepoDir, filepath);
+    if (hasConflictMarkers(content)) paths.add(filepath);
+  }
+  return Array.from(paths).sort();
+}
+
+// Merges `theirs` into the checked-out branch `ours`. Conflicts leave the
+// merge in progress with markers in the working tree.
+async function mergeIntoCurrentBranch(ours, theirs, label) {
+  if (await readMergeState()) {
+    return { message: 'A merge is already in progress. Commit or abort it first.', type: 'warning' };
+  }
+
+  // Refuse to merge over local modifications to tracked files
+  const { staged, unstaged } = await getStatusEntries(gitRepoDir);
+  if (staged.length > 0 || unstaged.some(entry => entry.status !== 'untracked')) {
+    return { message: 'Merging needs a clean working tree. Commit or discard your changes, then try again.', type: 'warning' };
+  }
+
+  const ourOid = await git.resolveRef({ fs, dir: gitRepoDir, ref: 'HEAD' });
+  const theirOid = await git.resolveRef({ fs, dir: gitRepoDir, ref: theirs });
+  const author = await getCommitAuthor();
+  const message = `Merge ${label} into ${ours}`;
+
+  try {
+    const result = await git.merge({
+      fs,
+      dir: gitRepoDir,
+      ours,
+      theirs,
+      message,
+      author: author.name && author.email ? author : undefined,
+      abortOnConflict: false
+    });
+    if (result.alreadyMerged) return { message: `${ours} already contains ${label}.`, type: 'info' };
+
+    await git.checkout({ fs, dir: gitRepoDir, ref: ours });
+    return {
+      message: result.fastForward ? `Fast-forwarded ${ours} to ${label}.` : `Merged ${label} into ${ours}.`,
+      fastForward: Boolean(result.fastForward),
+      worktreeChanged: true
+    };
+  } catch (err) {
+    if (err.code === 'MissingNameError') {
+      throw new Error('Set the author name and email under Source Control before merging.');
+    }
+    if (err.code !== 'MergeConflictError') throw err;
+
+    const [baseOid] = await git.findMergeBase({ fs, dir: gitRepoDir, oids: [ourOid, theirOid] });
+    await stageMergeResult(ourOid, baseOid, theirOid, err.data.filepaths);
+    await writeMergeState(theirOid, message, [...err.data.deleteByUs, ...err.data.deleteByTheirs]);
+
+    const count = err.data.filepaths.length;
+    return {
+      message: `Merging ${label} stopped with ${count} conflicted file(s). Resolve them, then commit the merge.`,
+      type: 'warning',
+      worktreeChanged: true
+    };
+  }
+}
+
+// After a conflicted merge isomorphic-git only stages the blobs it merged
+// itself. Apply the changes that only came from their side (including
+// deletions) to the working tree and index so the merge commit contains them.
+async function stageMergeResult(ourOid, baseOid, theirOid, conflicted) {
+  if (!baseOid) return;
+
+  const updates = await git.walk({
+    fs,
+    dir: gitRepoDir,
+    trees: [git.TREE({ ref: ourOid }), git.TREE({ ref: baseOid }), git.TREE({ ref: theirOid })],
+    map: async (filepath, [ours, base, theirs]) => {
+      if (filepath === '.') return;
+      const ourId = ours ? await ours.oid() : null;
+      const baseId = base ? await base.oid() : null;
+      const theirId = theirs ? await theirs.oid() : null;
+      if (theirId === baseId) return null; // Nothing changed on their side
+
+      const types = await Promise.all([ours, base, theirs].map(entry => entry ? entry.type() : null));
+      if (types.includes('tree')) return;
+      if (ourId !== baseId || conflicted.includes(filepath)) return null; // Merged or conflicted
+
+      return { filepath, oid: theirId };
+    }
+  });
+
+  for (const { filepath, oid } of updates) {
+    const path = `${gitRepoDir}/${filepath}`;
+    if (oid) {
+      const { blob } = await git.readBlob({ fs, dir: gitRepoDir, oid });
+      await mkdirp(pf, path.substring(0, path.lastIndexOf('/')));
+      await pf.writeFile(path, blob);
+      await git.add({ fs, dir: gitRepoDir, filepath });
+    } else {
+      try {
+        await pf.unlink(path);
+      } catch (e) { }
+      await git.remove({ fs, dir: gitRepoDir, filepath });
+    }
+  }
+}
+
+async function abortMerge() {
+  if (!confirm("Abort the merge? All conflict resolutions and merged changes will be discarded.")) return;
+
+  try {
+    await syncFolderIntoGit();
+    await git.abortMerge({ fs, dir: gitRepoDir });
+    await clearMergeState();
+    await syncGitIntoFolder();
+    await reloadProjectFiles();
+  } catch (err) {
+    console.error("Abort merge error:", err);
+    alert("Could not abort the merge: " + err.message);
+  }
+  refreshSourceControl();
+}
+
+async function mergeBranch(branch) {
+  if (!gitRepoDir || gitSyncInProgress) return;
+
+  const current = await git.currentBranch({ fs, dir: gitRepoDir });
+  if (!current) {
+    alert("HEAD is detached. Check out a branch first.");
+    return;
+  }
+  if (!confirm(`Merge "${branch}" into "${current}"?`)) return;
+  if (!(await saveUnsavedTabs('merge'))) return;
+
+  gitSyncInProgress = true;
+  let result;
+  try {
+    await syncFolderIntoGit();
+    result = await mergeIntoCurrentBranch(current, branch, `'${branch}'`);
+    const changedFiles = await syncGitIntoFolder();
+    if (result.worktreeChanged || changedFiles.length > 0) await reloadProjectFiles();
+  } catch (err) {
+    console.error("Merge error:", err);
+    result = { message: `Merge failed: ${err.message}`, type: 'error' };
+  }
+  gitSyncInProgress = false;
+
+  await showSidebarView('scm-view');
+  showSyncStatus(result.message, result.type || 'success');
+}
+
+async function saveConflictedFile(path) {
+  const handle = fileHandles.get(path);
+  const content = fileContent.get(path);
+  if (!handle || typeof content !== 'string') return;
+  const writable = await handle.createWritable();
+  await writable.write(content);
+  await writable.close();
+}
+
+// Saves the file's buffer and stages it
+async function markResolved(path) {
+  const content = fileContent.get(path);
+  if (hasConflictMarkers(content)
+    && !confirm(`${path} still contains conflict markers. Mark it as resolved anyway?`)) {
+    return;
+  }
+
+  try {
+    await saveConflictedFile(path);
+    await syncFolderIntoGit();
+    await git.add({ fs, dir: gitRepoDir, filepath: path });
+    unresolvedDeletions.delete(path);
+    await writeUnresolvedDeletions();
+    await syncGitIntoFolder();
+  } catch (err) {
+    console.error("Mark resolved error:", err);
+    alert(`Could not mark ${path} as resolved: ${err.message}`);
+    return;
+  }
+
+  const key = getConflictTabKey(path);
+  if (openTabs.includes(key)) {
+    await closeTab(key);
+    await loadFile(path);
+  }
+  refreshSourceControl();
+}
+
+// Resolves a modify/delete conflict by removing the file
+async function resolveByDeleting(path) {
+  if (!confirm(`Delete ${path} to resolve the conflict?`)) return;
+
+  try {
+    await syncFolderIntoGit();
+    try {
+      await pf.unlink(`${gitRepoDir}/${path}`);
+    } catch (e) { }
+    await git.remove({ fs, dir: gitRepoDir, filepath: path });
+    unresolvedDeletions.delete(path);
+    await writeUnresolvedDeletions();
+    await syncGitIntoFolder();
+    await closeTab(getConflictTabKey(path));
+    await reloadProjectFiles();
+  } catch (err) {
+    console.error("Resolve conflict error:", err);
+    alert(`Could not delete ${path}: ${err.message}`);
+  }
+  refreshSourceControl();
+}
+
+function getConflictTabKey(path) {
+  return `merge://${path}`;
+}
+
+async function openConflictTab(path) {
+  const key = getConflictTabKey(path);
+  diffTabs.set(key, { conflict: path });
+  if (!openTabs.includes(key)) openTabs.push(key);
+  await loadFile(key);
+}
+
+async function readCommitText(ref, path) {
+  try {
+    const { blob } = await git.readBlob({ fs, dir: gitRepoDir, oid: ref, filepath: path });
+    return new TextDecoder().decode(blob);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Ours, base and theirs for the resolution view. They come from the commits
+// when a merge is in progress, otherwise from the markers in the file.
+async function getConflictSources(path, text) {
+  const mergeState = await readMergeState();
+  if (mergeState) {
+    const ourOid = await git.resolveRef({ fs, dir: gitRepoDir, ref: 'HEAD' });
+    const [baseOid] = await git.findMergeBase({ fs, dir: gitRepoDir, oids: [ourOid, mergeState.head] });
+    return {
+      ours: { label: 'Ours (HEAD)', text: await readCommitText(ourOid, path) },
+      base: { label: 'Base', text: baseOid ? await readCommitText(baseOid, path) : null },
+      theirs: { label: `Theirs (${mergeState.head.slice(0, 7)})`, text: await readCommitText(mergeState.head, path) }
+    };
+  }
+
+  const [block] = parseConflicts(text);
+  return {
+    ours: { label: `Ours${block && block.oursLabel ? ` (${block.oursLabel})` : ''}`, text: conflictSideText(text, 'ours') },
+    base: { label: 'Base', text: conflictSideText(text, 'base') },
+    theirs: { label: `Theirs${block && block.theirsLabel ? ` (${block.theirsLabel})` : ''}`, text: conflictSideText(text, 'theirs') }
+  };
+}
+
+async function showConflictTab(key, path) {
+  await ensurePathLoaded(path);
+  const handle = fileHandles.get(path);
+  if (!handle) {
+    editorHost.innerHTML = '<div class="empty-state"><h3>This file no longer exists</h3></div>';
+    return;
+  }
+
+  let text = fileContent.get(path);
+  if (typeof text !== 'string') {
+    text = await (await handle.getFile()).text();
+    fileContent.set(path, text);
+  }
+
+  let sources;
+  try {
+    await syncFolderIntoGit();
+    sources = await getConflictSources(path, text);
+  } catch (err) {
+    console.error("Conflict sources error:", err);
+    sources = { ours: { label: 'Ours', text: null }, base: { label: 'Base', text: null }, theirs: { label: 'Theirs', text: null } };
+  }
+  if (activeDiffKey !== key) return; // Another tab was opened meanwhile
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'diff-toolbar';
+  toolbar.innerHTML = `
+    <div class="diff-labels"><span class="diff-label conflict-count"></span></div>
+    <button class="btn btn-secondary diff-layout-btn" data-choice="ours">Accept All Ours</button>
+    <button class="btn btn-secondary diff-layout-btn" data-choice="theirs">Accept All Theirs</button>
+    ${unresolvedDeletions.has(path) ? '<button class="btn btn-secondary diff-layout-btn" id="conflict-delete-btn">Delete File</button>' : ''}
+    <button class="btn btn-primary diff-layout-btn" id="conflict-resolve-btn">Mark Resolved</button>
+  `;
+  editorHost.appendChild(toolbar);
+
+  const sourcesEl = document.createElement('div');
+  sourcesEl.className = 'conflict-sources';
+  editorHost.appendChild(sourcesEl);
+
+  const views = [];
+  ['ours', 'base', 'theirs'].forEach(side => {
+    const source = sources[side];
+    const pane = document.createElement('div');
+    pane.className = 'conflict-pane';
+    const label = document.createElement('div');
+    label.className = 'conflict-pane-label';
+    label.textContent = source.text === null ? `${source.label} · not available` : source.label;
+    pane.appendChild(label);
+    sourcesEl.appendChild(pane);
+    views.push(new EditorView({
+      parent: pane,
+      state: EditorState.create({ doc: source.text || '', extensions: getDiffEditorExtensions(path) })
+    }));
+  });
+
+  const resultLabel = document.createElement('div');
+  resultLabel.className = 'conflict-pane-label conflict-result-label';
+  resultLabel.textContent = 'Result';
+  editorHost.appendChild(resultLabel);
+
+  const resultEl = document.createElement('div');
+  resultEl.className = 'diff-body conflict-result';
+  editorHost.appendChild(resultEl);
+
+  const countEl = toolbar.querySelector('.conflict-count');
+  const updateCount = (doc) => {
+    const count = parseConflicts(doc).length;
+    countEl.textContent = count === 0 ? `${path} · no conflicts left` : `${path} · ${count} conflict(s) remaining`;
+  };
+  updateCount(text);
+
+  const resultView = new EditorView({
+    parent: resultEl,
+    state: EditorState.create({
+      doc: text,
+      extensions: [
+        basicSetup,
+        keymap.of([indentWithTab]),
+        getLanguageExtension(path),
+        conflictMarkers(),
+        isDarkMode ? oneDark : EditorView.theme({}, { dark: false }),
+        EditorView.updateListener.of((update) => {
+          if (!update.docChanged) return;
+          const doc = update.state.doc.toString();
+          fileContent.set(path, doc);
+          updateCount(doc);
+        })
+      ]
+    })
+  });
+  views.push(resultView);
+  diffView = { destroy: () => views.forEach(view => view.destroy()) };
+
+  toolbar.querySelectorAll('[data-choice]').forEach(btn => {
+    btn.onclick = () => {
+      const doc = resultView.state.doc.toString();
+      resultView.dispatch({
+        changes: { from: 0, to: doc.length, insert: resolveConflicts(doc, btn.dataset.choice) },
+        userEvent: 'input.resolve'
+      });
+    };
+  });
+  toolbar.querySelector('#conflict-resolve-btn').onclick = () => markResolved(path);
+  const deleteBtn = toolbar.querySelector('#conflict-delete-btn');
+  if (deleteBtn) deleteBtn.onclick = () => resolveByDeleting(path);
+}
+
+async function createConflictGroup(paths) {
+  const group = document.createElement('div');
+  group.className = 'scm-group';
+
+  const header = document.createElement('div');
+  header.className = 'scm-group-header';
+  header.innerHTML = `<span>Merge Conflicts</span><span class="scm-count">${paths.length}</span>`;
+  group.appendChild(header);
+
+  paths.forEach(path => {
+    const fileName = path.split('/').pop();
+    const dirName = path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : '';
+
+    const item = document.createElement('div');
+    item.className = 'file-item scm-entry scm-conflicted';
+    item.title = path;
+    item.innerHTML = `
+      <div class="file-item-content">
+        <div class="icon-box">${getIconForFile(fileName, 'file')}</div>
+        <span class="scm-entry-name"></span>
+        <span class="scm-entry-dir"></span>
+        <button class="icon-btn scm-entry-action" title="Mark Resolved">+</button>
+        <span class="scm-status-letter">${STATUS_LETTERS.conflicted}</span>
+      </div>
+    `;
+    item.querySelector('.scm-entry-name').textContent = fileName;
+    item.querySelector('.scm-entry-dir').textContent = dirName;
+    item.onclick = () => openConflictTab(path);
+    item.querySelector('.scm-entry-action').onclick = (e) => {
+      e.stopPropagation();
+      markResolved(path);
+    };
+    group.appendChild(item);
+  });
+
+  return group;
+}
+
+function createMergeBanner(mergeState) {
+  const banner = document.createElement('div');
+  banner.className = 'scm-merge-banner';
+  banner.innerHTML = `
+    <span></span>
+    <button class="btn btn-secondary">Abort Merge</button>
+  `;
+  banner.querySelector('span').textContent = `Merging ${mergeState.head.slice(0, 7)}. Resolve all conflicts, then commit to finish the merge.`;
+  banner.querySelector('button').onclick = abortMerge;
+  return banner;
+}
+
+// --- Git: Stash & Discard ---
+
+// Writes open tabs with unsaved edits to disk, after asking. Returns false
+// when the user declines, so the caller can stop.
+async function saveUnsavedTabs(action) {
+  const unsaved = await getUnsavedPaths();
+  if (unsaved.length === 0) return true;
+  if (!confirm(`${unsaved.length} open file(s) have unsaved edits. Save them before you ${action}?\n\n${unsaved.join('\n')}`)) {
+    return false;
+  }
+
+  for (const path of unsaved) {
+    await writeBufferToDisk(path);
+  }
+  return true;
+}
+
+// Puts unsaved buffers back after a reload from disk
+async function restoreBuffers(buffers) {
+  buffers.forEach((content, path) => {
+    if (fileHandles.has(path)) fileContent.set(path, content);
+  });
+  const activePath = currentFileHandle ? getPathFromHandle(currentFileHandle) : null;
+  if (activePath && buffers.has(activePath)) await loadFile(activePath);
+}
+
+function showStashDialog() {
+  return new Promise((resolve) => {
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'modal-overlay';
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content fade-in';
+    modalContent.innerHTML = `
+      <div class="modal-header">
+        <h3>Stash Changes</h3>
+        <button class="icon-btn" id="modal-close">×</button>
+      </div>
+      <form class="modal-body modal-form" id="stash-form">
+        <label class="form-field">
+          <span>Message</span>
+          <input type="text" name="message" placeholder="Optional description" autocomplete="off">
+        </label>
+        <p class="modal-text">Changes to tracked files are saved and the working tree is reset to HEAD. Untracked files stay in place.</p>
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary" id="stash-cancel">Cancel</button>
+          <button type="submit" class="btn btn-primary">Stash</button>
+        </div>
+      </form>
+    `;
+    modalOverlay.appendChild(modalContent);
+    document.body.appendChild(modalOverlay);
+
+    const form = modalContent.querySelector('#stash-form');
+    setTimeout(() => form.elements.message.focus(), 0);
+
+    const finish = (value) => {
+      modalOverlay.remove();
+      resolve(value);
+    };
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      finish(form.elements.message.value.trim());
+    };
+    modalContent.querySelector('#modal-close').onclick = () => finish(null);
+    modalContent.querySelector('#stash-cancel').onclick = () => finish(null);
+    modalOverlay.onclick = (e) => { if (e.target === modalOverlay) finish(null); };
+  });
+}
+
+async function stashChanges() {
+  if (!gitRepoDir) {
+    alert("Please open a Git repository first.");
+    return;
+  }
+
+  try {
+    if (await readMergeState()) {
+      alert("A merge is in progress. Commit or abort it before stashing.");
+      return;
+    }
+    if (!await saveUnsavedTabs('stash')) return;
+
+    const message = await showStashDialog();
+    if (message === null) return;
+
+    // Stash commits are authored from the repository config
+    const author = await getCommitAuthor();
+    if (!author.name || !author.email) {
+      alert("Please set the author name and email before stashing.");
+      document.querySelector('.scm-author').open = true;
+      return;
+    }
+    await git.setConfig({ fs, dir: gitRepoDir, path: 'user.name', value: author.name });
+    await git.setConfig({ fs, dir: gitRepoDir, path: 'user.email', value: author.email });
+
+    await syncFolderIntoGit();
+    await git.stash({ fs, dir: gitRepoDir, op: 'push', message });
+    await syncGitIntoFolder();
+    await reloadProjectFiles();
+  } catch (err) {
+    if (err.code === 'NotFoundError') {
+      alert("There are no changes to tracked files to stash.");
+    } else {
+      console.error("Git stash error:", err);
+      alert("Could not stash changes: " + err.message);
+    }
+  }
+
+  refreshSourceControl();
+}
+
+// Runs 'apply', 'pop' or 'drop' on the stash entry at `index`
+async function runStashOperation(op, index) {
+  if (op === 'drop' && !confirm(`Drop stash@{${index}}? Its changes will be lost.`)) return;
+
+  try {
+    if (op !== 'drop' && !await saveUnsavedTabs(`${op} the stash`)) return;
+    await syncFolderIntoGit();
+    await git.stash({ fs, dir: gitRepoDir, op, refIdx: index });
+    await syncGitIntoFolder();
+    if (op !== 'drop') await reloadProjectFiles();
+  } catch (err) {
+    console.error("Git stash error:", err);
+    alert(`Could not ${op} stash@{${index}}: ${err.message}`);
+  }
+
+  refreshSourceControl();
+}
+
+async function refreshStashList() {
+  const stashesEl = document.getElementById('scm-stashes');
+  let entries = [];
+  if (gitRepoDir) {
+    try {
+      entries = await git.stash({ fs, dir: gitRepoDir, op: 'list' });
+    } catch (e) { }
+  }
+
+  stashesEl.innerHTML = '';
+  stashesEl.classList.toggle('hidden', entries.length === 0);
+  if (entries.length === 0) return;
+
+  const header = document.createElement('div');
+  header.className = 'scm-group-header';
+  header.innerHTML = `<span>Stashes</span><span class="scm-count">${entries.length}</span>`;
+  stashesEl.appendChild(header);
+
+  entries.forEach((entry, index) => {
+    // Entries look like "stash@{0}: message: abc1234 subject"
+    const [ref, ...rest] = entry.split(': ');
+    const item = document.createElement('div');
+    item.className = 'file-item scm-entry scm-stash';
+    item.title = entry;
+    item.innerHTML = `
+      <div class="file-item-content">
+        <span class="scm-entry-name"></span>
+        <span class="scm-entry-dir"></span>
+        <button class="icon-btn scm-entry-action" data-op="apply" title="Apply Stash">↧</button>
+        <button class="icon-btn scm-entry-action" data-op="pop" title="Pop Stash">⇣</button>
+        <button class="icon-btn scm-entry-action" data-op="drop" title="Drop Stash">×</button>
+      </div>
+    `;
+    item.querySelector('.scm-entry-name').textContent = rest.join(': ') || ref;
+    item.querySelector('.scm-entry-dir').textContent = ref;
+    item.querySelectorAll('[data-op]').forEach(btn => {
+      btn.onclick = (e) => {
+        e.stopPropagation();
+        runStashOperation(btn.dataset.op, index);
+      };
+    });
+    stashesEl.appendChild(item);
+  });
+}
+
+// Restores a file or folder from HEAD. Files that aren't in HEAD are only
+// removed when discarding that file itself.
+async function discardChanges(node) {
+  if (!gitRepoDir) return;
+
+  try {
+    await syncFolderIntoGit();
+    const matrix = await git.statusMatrix({ fs, dir: gitRepoDir, filepaths: [node.path] });
+    const changed = matrix.filter(row => {
+      const { staged, unstaged } = classifyStatusRow(row);
+      return staged || unstaged;
+    });
+    const tracked = changed.filter(([, head]) => head === 1).map(([path]) => path);
+    const created = node.kind === 'file' ? changed.filter(([, head]) => head === 0).map(([path]) => path) : [];
+    // The sync only sees what is saved, so edits in open buffers are
+    // discarded alongside
+    const unsavedPaths = await getUnsavedPaths();
+    const unsaved = unsavedPaths.filter(path => isSameOrInside(path, node.path));
+
+    if (tracked.length === 0 && created.length === 0 && unsaved.length === 0) {
+      alert(`${node.name} has no changes to discard.`);
+      return;
+    }
+
+    let message = created.length > 0
+      ? `${node.path} is not part of HEAD. Discarding will delete it.`
+      : tracked.length > 0
+        ? `Discard all changes to ${node.kind === 'file' ? node.path : `${tracked.length} file(s) in ${node.path}`}?`
+        : `${node.path} has no saved changes.`;
+    if (unsaved.length > 0) message += `\n\nUnsaved edits are discarded too:\n${unsaved.join('\n')}`;
+    message += created.length > 0 ? '\n\nContinue?' : '\n\nThis cannot be undone.';
+    if (!confirm(message)) return;
+
+    if (tracked.length > 0) {
+      await git.checkout({ fs, dir: gitRepoDir, filepaths: tracked, force: true });
+    }
+    for (const path of created) {
+      await git.remove({ fs, dir: gitRepoDir, filepath: path });
+      try {
+        await pf.unlink(`${gitRepoDir}/${path}`);
+      } catch (e) { }
+    }
+    const affected = new Set([...tracked, ...created, ...unsaved]);
 
-let contextMenu = null;
+    // Unsaved edits in other files survive the reload; the discarded files are
+    // reloaded from disk
+    const buffers = new Map();
+    for (const path of unsavedPaths) {
+      if (!affected.has(path)) buffers.set(path, fileContent.get(path));
+    }
 
-function showContextMenu(x, y, node) {
-  // Remove existing menu
-  if (contextMenu) {
-    contextMenu.remove();
+    await syncGitIntoFolder();
+    await reloadProjectFiles();
+    await restoreBuffers(buffers);
+  } catch (err) {
+    console.error("Discard changes error:", err);
+    alert(`Could not discard changes to ${node.path}: ${err.message}`);
   }
 
-  contextMenu = document.createElement('div');
-  contextMenu.className = 'context-menu';
-  contextMenu.style.left = `${x}px`;
-  contextMenu.style.top = `${y}px`;
+  refreshSourceControl();
+}
 
-  const menuItems = [];
+// --- Git: History ---
 
-  // Rename option
-  menuItems.push({
-    label: 'Rename',
-    icon: '✏️',
-    action: () => renameItem(node)
-  });
+const HISTORY_PAGE_SIZE = 100;
+let historyState = { path: '', depth: HISTORY_PAGE_SIZE, commits: [], selected: null, complete: false };
 
-  // Delete option
-  menuItems.push({
-    label: 'Delete',
-    icon: '🗑️',
-    action: () => deleteItem(node)
-  });
+function setupHistoryView() {
+  const pathInput = document.getElementById('history-path-filter');
+  const searchInput = document.getElementById('history-search');
 
-  menuItems.forEach(item => {
-    const menuItem = document.createElement('div');
-    menuItem.className = 'context-menu-item';
-    menuItem.innerHTML = `<span class="menu-icon">${item.icon}</span><span>${item.label}</span>`;
-    menuItem.onclick = () => {
-      item.action();
-      contextMenu.remove();
-      contextMenu = null;
-    };
-    contextMenu.appendChild(menuItem);
+  document.getElementById('history-refresh-btn').addEventListener('click', () => loadHistory());
+  pathInput.addEventListener('change', () => showHistory(pathInput.value.trim()));
+  pathInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') pathInput.blur();
   });
+  document.getElementById('history-path-clear').addEventListener('click', () => showHistory(''));
+  searchInput.addEventListener('input', renderHistory);
+}
 
-  document.body.appendChild(contextMenu);
+function resetHistory() {
+  historyState = { path: '', depth: HISTORY_PAGE_SIZE, commits: [], selected: null, complete: false };
+  document.getElementById('history-path-filter').value = '';
+  document.getElementById('history-path-clear').classList.add('hidden');
+  if (activeSidebarView === 'history-view') loadHistory();
+}
 
-  // Close menu on click outside
-  const closeMenu = (e) => {
-    if (contextMenu && !contextMenu.contains(e.target)) {
-      contextMenu.remove();
-      contextMenu = null;
-      document.removeEventListener('click', closeMenu);
+// Opens the history view, optionally limited to the commits touching `path`
+function showHistory(path = historyState.path) {
+  if (path !== historyState.path) {
+    historyState = { path, depth: HISTORY_PAGE_SIZE, commits: [], selected: null, complete: false };
+  }
+  document.getElementById('history-path-filter').value = path;
+  document.getElementById('history-path-clear').classList.toggle('hidden', !path);
+  if (activeSidebarView === 'history-view') loadHistory();
+  else showSidebarView('history-view');
+}
+
+async function loadHistory() {
+  const listEl = document.getElementById('history-list');
+  if (!gitRepoDir) {
+    listEl.innerHTML = '<div class="empty-message">No Git repository open. Open a folder or clone a repository to browse its history.</div>';
+    return;
+  }
+
+  const { path, depth } = historyState;
+  try {
+    await syncFolderIntoGit();
+    const commits = await git.log({
+      fs,
+      dir: gitRepoDir,
+      depth,
+      filepath: path || undefined,
+      force: true,
+      follow: Boolean(path) && fileHandles.has(path)
+    });
+    if (historyState.path !== path) return; // The filter changed meanwhile
+    historyState.commits = commits;
+    historyState.complete = commits.length < depth;
+  } catch (err) {
+    historyState.commits = [];
+    historyState.complete = true;
+    if (err.code !== 'NotFoundError') {
+      console.error("Git log error:", err);
+      listEl.innerHTML = '';
+      const errorEl = document.createElement('div');
+      errorEl.className = 'empty-message';
+      errorEl.textContent = `Could not read history: ${err.message}`;
+      listEl.appendChild(errorEl);
+      return;
     }
+  }
+
+  renderHistory();
+}
+
+function formatRelativeDate(timestamp) {
+  const seconds = Math.round(Date.now() / 1000 - timestamp);
+  const units = [
+    ['year', 365 * 24 * 3600],
+    ['month', 30 * 24 * 3600],
+    ['week', 7 * 24 * 3600],
+    ['day', 24 * 3600],
+    ['hour', 3600],
+    ['minute', 60]
+  ];
+  for (const [unit, size] of units) {
+    const count = Math.floor(seconds / size);
+    if (count >= 1) return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+  }
+  return 'just now';
+}
+
+function renderHistory() {
+  const listEl = document.getElementById('history-list');
+  if (!gitRepoDir) return;
+
+  const query = document.getElementById('history-search').value.trim().toLowerCase();
+  const commits = historyState.commits.filter(({ oid, commit }) => !query
+    || commit.message.toLowerCase().includes(query)
+    || oid.startsWith(query));
+
+  listEl.innerHTML = '';
+  if (commits.length === 0) {
+    const emptyEl = document.createElement('div');
+    emptyEl.className = 'empty-message';
+    emptyEl.textContent = historyState.commits.length === 0
+      ? (historyState.path ? `No commits touch ${historyState.path}` : 'No commits yet')
+      : 'No commits match your search';
+    listEl.appendChild(emptyEl);
+  }
+
+  commits.forEach(entry => listEl.appendChild(createHistoryEntry(entry)));
+
+  if (!historyState.complete) {
+    const moreBtn = document.createElement('button');
+    moreBtn.className = 'btn btn-secondary history-more';
+    moreBtn.textContent = 'Load More';
+    moreBtn.onclick = () => {
+      historyState.depth += HISTORY_PAGE_SIZE;
+      loadHistory();
+    };
+    listEl.appendChild(moreBtn);
+  }
+}
+
+function createHistoryEntry({ oid, commit }) {
+  const isSelected = historyState.selected === oid;
+  const [summary, ...body] = commit.message.trim().split('\n');
+
+  const container = document.createElement('div');
+  container.className = `history-entry ${isSelected ? 'selected' : ''}`;
+
+  const header = document.createElement('div');
+  header.className = 'history-entry-header';
+  header.innerHTML = `
+    <div class="history-summary"></div>
+    <div class="history-meta">
+      <span class="commit-oid"></span>
+      <span class="history-author"></span>
+      <span class="history-date"></span>
+    </div>
+  `;
+  header.querySelector('.history-summary').textContent = summary;
+  header.querySelector('.commit-oid').textContent = oid.slice(0, 7);
+  header.querySelector('.history-author').textContent = commit.author.name;
+  const dateEl = header.querySelector('.history-date');
+  dateEl.textContent = formatRelativeDate(commit.author.timestamp);
+  dateEl.title = new Date(commit.author.timestamp * 1000).toLocaleString();
+  header.onclick = () => {
+    historyState.selected = isSelected ? null : oid;
+    renderHistory();
   };
-  setTimeout(() => document.addEventListener('click', closeMenu), 0);
+  container.appendChild(header);
+
+  if (isSelected) {
+    const details = document.createElement('div');
+    details.className = 'history-details';
+
+    const bodyText = body.join('\n').trim();
+    if (bodyText) {
+      const messageEl = document.createElement('pre');
+      messageEl.className = 'history-message';
+      messageEl.textContent = bodyText;
+      details.appendChild(messageEl);
+    }
+
+    const infoEl = document.createElement('div');
+    infoEl.className = 'history-info';
+    infoEl.textContent = `${commit.author.name} <${commit.author.email}> · ${oid}`;
+    details.appendChild(infoEl);
+
+    const filesEl = document.createElement('div');
+    filesEl.className = 'history-files';
+    filesEl.innerHTML = '<div class="empty-message">Loading changes...</div>';
+    details.appendChild(filesEl);
+    renderCommitFiles(filesEl, oid, commit.parent[0] || null);
+
+    container.appendChild(details);
+  }
+
+  return container;
 }
 
-async function createNewFolder() {
-  if (!rootHandle) {
-    alert("Please open a project folder first.");
+// Lists the files changed by `oid` relative to its first parent
+async function getCommitChanges(oid, parentOid) {
+  const trees = parentOid ? [git.TREE({ ref: parentOid }), git.TREE({ ref: oid })] : [git.TREE({ ref: oid })];
+  const changes = await git.walk({
+    fs,
+    dir: gitRepoDir,
+    trees,
+    map: async (filepath, entries) => {
+      const [before, after] = parentOid ? entries : [null, entries[0]];
+      if (filepath === '.') return;
+
+      const beforeOid = before ? await before.oid() : null;
+      const afterOid = after ? await after.oid() : null;
+      if (beforeOid === afterOid) return null; // Unchanged, skip the whole subtree
+
+      const beforeType = before ? await before.type() : null;
+      const afterType = after ? await after.type() : null;
+      if (beforeType === 'tree' || afterType === 'tree') {
+        // A file replaced by a folder (or back) shows up as its blob side
+        if (beforeType === 'blob') return { path: filepath, status: 'deleted' };
+        if (afterType === 'blob') return { path: filepath, status: 'added' };
+        return;
+      }
+
+      let status = 'modified';
+      if (!before) status = 'added';
+      else if (!after) status = 'deleted';
+      return { path: filepath, status };
+    }
+  });
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+async function renderCommitFiles(filesEl, oid, parentOid) {
+  let changes;
+  try {
+    changes = await getCommitChanges(oid, parentOid);
+  } catch (err) {
+    filesEl.innerHTML = '';
+    const errorEl = document.createElement('div');
+    errorEl.className = 'empty-message';
+    errorEl.textContent = `Could not read changes: ${err.message}`;
+    filesEl.appendChild(errorEl);
     return;
   }
 
-  // Set state to show inline input
-  creatingNewItem = { type: 'folder', parentNode: fileTree };
-  renderFileTree();
+  filesEl.innerHTML = '';
+  if (changes.length === 0) {
+    filesEl.innerHTML = '<div class="empty-message">No file changes</div>';
+    return;
+  }
+
+  const filterPath = historyState.path;
+  changes.forEach(change => {
+    const fileName = change.path.split('/').pop();
+    const dirName = change.path.includes('/') ? change.path.substring(0, change.path.lastIndexOf('/')) : '';
+    const inFilter = filterPath && (change.path === filterPath || change.path.startsWith(filterPath + '/'));
+
+    const item = document.createElement('div');
+    item.className = `file-item scm-entry scm-${change.status} ${inFilter ? 'history-match' : ''}`;
+    item.title = change.path;
+    item.innerHTML = `
+      <div class="file-item-content">
+        <div class="icon-box">${getIconForFile(fileName, 'file')}</div>
+        <span class="scm-entry-name"></span>
+        <span class="scm-entry-dir"></span>
+        <span class="scm-status-letter">${STATUS_LETTERS[change.status]}</span>
+      </div>
+    `;
+    item.querySelector('.scm-entry-name').textContent = fileName;
+    item.querySelector('.scm-entry-dir').textContent = dirName;
+    item.onclick = () => openCommitDiff(oid, parentOid, change.path);
+    filesEl.appendChild(item);
+  });
 }
 
-async function finalizeCreateFolder(folderName, parentNode) {
-  if (!folderName || !folderName.trim()) return;
-  folderName = folderName.trim();
+function openCommitDiff(oid, parentOid, path) {
+  const left = parentOid
+    ? { kind: 'commit', ref: parentOid, label: parentOid.slice(0, 7), path }
+    : { kind: 'none', path };
+  return openDiff(left, { kind: 'commit', ref: oid, label: oid.slice(0, 7), path });
+}
+
+// --- Git: Blame ---
+
+const BLAME_HISTORY_DEPTH = 500;
 
+function toggleBlame() {
+  blameEnabled = !blameEnabled;
+  document.getElementById('blame-btn').classList.toggle('active', blameEnabled);
+  updateBlame();
+}
+
+// Annotates the active editor with the commit that last changed each line
+async function updateBlame() {
+  const view = editor;
+  if (!view || !currentFileHandle) return;
+
+  const path = getPathFromHandle(currentFileHandle);
+  if (!blameEnabled || !gitRepoDir || !path) {
+    view.dispatch({ effects: setBlame.of(null) });
+    return;
+  }
+
+  let entries;
   try {
-    // Get parent directory handle
-    let parentHandle = rootHandle;
-    if (parentNode.path) {
-      const pathParts = parentNode.path.split('/');
-      for (const part of pathParts) {
-        parentHandle = await parentHandle.getDirectoryHandle(part);
-      }
+    await syncFolderIntoGit();
+    const commits = await git.log({ fs, dir: gitRepoDir, filepath: path, depth: BLAME_HISTORY_DEPTH, force: true });
+    const versions = [];
+    for (const { oid } of commits) {
+      versions.push(await readCommitText(oid, path));
     }
 
-    await parentHandle.getDirectoryHandle(folderName, { create: true });
-
-    // Refresh tree
-    creatingNewItem = null;
-    fileHandles.clear();
-    fileContent.clear();
-    fileTree = { children: new Map(), name: rootHandle.name, path: '', kind: 'directory' };
-    await scanDirectory(rootHandle, fileTree);
-    renderFileTree();
+    const annotations = commits.map(({ oid, commit }) => ({
+      oid,
+      parent: commit.parent[0] || null,
+      path,
+      label: `${oid.slice(0, 7)} ${commit.author.name}, ${formatRelativeDate(commit.author.timestamp)}`,
+      title: `${oid}\n${commit.author.name} <${commit.author.email}>\n${new Date(commit.author.timestamp * 1000).toLocaleString()}\n\n${commit.message.trim()}`
+    }));
+    const uncommitted = { uncommitted: true, label: 'Not committed yet', title: 'Not committed yet' };
+
+    entries = blameLines(view.state.doc.toString(), versions)
+      .map(index => index === -1 ? uncommitted : annotations[index]);
   } catch (err) {
-    console.error("Error creating folder:", err);
-    alert("Could not create folder. " + err.message);
-    creatingNewItem = null;
-    renderFileTree();
+    console.error("Git blame error:", err);
+    entries = null;
+  }
+
+  if (view === editor && blameEnabled) {
+    view.dispatch({ effects: setBlame.of(entries) });
   }
 }
 
-async function renameItem(node) {
-  if (!rootHandle) return;
-  renamingItem = node;
-  renderFileTree();
+function openBlameCommit(entry) {
+  openCommitDiff(entry.oid, entry.parent, entry.path);
 }
 
-async function finalizeRename(node, newName) {
+// --- Git: Branches ---
+
+let branchMenu = null;
+
+async function listBranches() {
+  const local = await git.listBranches({ fs, dir: gitRepoDir });
+  const remote = [];
+  for (const { remote: name } of await git.listRemotes({ fs, dir: gitRepoDir })) {
+    const branches = await git.listBranches({ fs, dir: gitRepoDir, remote: name });
+    branches
+      .filter(branch => branch !== 'HEAD' && !local.includes(branch))
+      .forEach(branch => remote.push({ remote: name, branch }));
+  }
+  return { local, remote };
+}
+
+async function refreshBranchIndicator() {
+  const btn = document.getElementById('branch-btn');
+  if (!gitRepoDir) {
+    btn.classList.add('hidden');
+    return;
+  }
+
+  let label;
+  try {
+    label = await git.currentBranch({ fs, dir: gitRepoDir });
+    if (!label) label = (await git.resolveRef({ fs, dir: gitRepoDir, ref: 'HEAD' })).slice(0, 7);
+  } catch (e) {
+    label = 'No commits';
+  }
+  document.getElementById('branch-name').textContent = label;
+  btn.classList.remove('hidden');
+}
+
+function closeBranchMenu() {
+  if (branchMenu) {
+    branchMenu.remove();
+    branchMenu = null;
+  }
+}
+
+async function showBranchMenu() {
+  if (branchMenu) {
+    closeBranchMenu();
+    return;
+  }
+  if (!gitRepoDir) return;
+
+  let branches;
+  let current;
   try {
-    // Get parent directory handle
-    const parentPath = node.path.substring(0, node.path.lastIndexOf('/'));
-    let parentHandle = rootHandle;
+    await syncFolderIntoGit();
+    branches = await listBranches();
+    current = await git.currentBranch({ fs, dir: gitRepoDir });
+  } catch (err) {
+    alert("Could not list branches: " + err.message);
+    return;
+  }
 
-    if (parentPath) {
-      const pathParts = parentPath.split('/');
-      for (const part of pathParts) {
-        parentHandle = await parentHandle.getDirectoryHandle(part);
-      }
-    }
+  const btn = document.getElementById('branch-btn');
+  const rect = btn.getBoundingClientRect();
+  const menu = document.createElement('div');
+  menu.className = 'context-menu branch-menu';
+  menu.style.top = `${rect.bottom + 6}px`;
+  menu.style.right = `${window.innerWidth - rect.right}px`;
+  menu.innerHTML = `
+    <input type="text" class="sidebar-search-input branch-filter" placeholder="Filter branches..." autocomplete="off">
+    <div class="context-menu-item branch-create"><span class="menu-icon">+</span><span>Create Branch...</span></div>
+    <div class="branch-list"></div>
+  `;
+  branchMenu = menu;
+
+  const listEl = menu.querySelector('.branch-list');
+  const filterEl = menu.querySelector('.branch-filter');
+
+  const createItem = (label, onSelect, isCurrent) => {
+    const item = document.createElement('div');
+    item.className = `context-menu-item branch-item ${isCurrent ? 'current' : ''}`;
+    item.innerHTML = `<span class="menu-icon">${isCurrent ? '✓' : ''}</span><span class="branch-item-name"></span>`;
+    item.querySelector('.branch-item-name').textContent = label;
+    item.onclick = () => {
+      closeBranchMenu();
+      onSelect();
+    };
+    return item;
+  };
 
-    // Create new item with new name
-    if (node.kind === 'file') {
-      // Copy file content
-      const oldFile = await node.handle.getFile();
-      const content = await oldFile.arrayBuffer();
+  const renderList = () => {
+    const query = filterEl.value.trim().toLowerCase();
+    listEl.innerHTML = '';
+
+    branches.local
+      .filter(branch => branch.toLowerCase().includes(query))
+      .forEach(branch => {
+        const isCurrent = branch === current;
+        const item = createItem(branch, () => { if (!isCurrent) checkoutBranch(branch); }, isCurrent);
+
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'icon-btn branch-item-action';
+        renameBtn.title = 'Rename Branch';
+        renameBtn.textContent = '✏️';
+        renameBtn.onclick = (e) => {
+          e.stopPropagation();
+          closeBranchMenu();
+          renameBranch(branch);
+        };
+        item.appendChild(renameBtn);
+
+        if (!isCurrent && current) {
+          const mergeBtn = document.createElement('button');
+          mergeBtn.className = 'icon-btn branch-item-action';
+          mergeBtn.title = `Merge into ${current}`;
+          mergeBtn.textContent = '⤵';
+          mergeBtn.onclick = (e) => {
+            e.stopPropagation();
+            closeBranchMenu();
+            mergeBranch(branch);
+          };
+          item.appendChild(mergeBtn);
+        }
 
-      const newHandle = await parentHandle.getFileHandle(newName, { create: true });
-      const writable = await newHandle.createWritable();
-      await writable.write(content);
-      await writable.close();
+        if (!isCurrent) {
+          const deleteBtn = document.createElement('button');
+          deleteBtn.className = 'icon-btn branch-item-action';
+          deleteBtn.title = 'Delete Branch';
+          deleteBtn.textContent = '🗑️';
+          deleteBtn.onclick = (e) => {
+            e.stopPropagation();
+            closeBranchMenu();
+            deleteBranch(branch);
+          };
+          item.appendChild(deleteBtn);
+        }
+        listEl.appendChild(item);
+      });
 
-      // Delete old file
-      await parentHandle.removeEntry(node.name);
-    } else {
-      // For directories, recursively copy
-      await copyDirectory(node.handle, parentHandle, newName);
-      // Delete old directory
-      await parentHandle.removeEntry(node.name, { recursive: true });
+    const remote = branches.remote.filter(({ remote: name, branch }) => `${name}/${branch}`.toLowerCase().includes(query));
+    if (remote.length > 0) {
+      const heading = document.createElement('div');
+      heading.className = 'branch-menu-heading';
+      heading.textContent = 'Remote Branches';
+      listEl.appendChild(heading);
+      remote.forEach(({ remote: name, branch }) => {
+        listEl.appendChild(createItem(`${name}/${branch}`, () => checkoutBranch(branch, name), false));
+      });
     }
+  };
 
-    // Refresh tree
-    renamingItem = null;
-    fileHandles.clear();
-    fileContent.clear();
-    fileTree = { children: new Map(), name: rootHandle.name, path: '', kind: 'directory' };
-    await scanDirectory(rootHandle, fileTree);
-    renderFileTree();
+  renderList();
+  filterEl.addEventListener('input', renderList);
+  filterEl.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeBranchMenu();
+  });
+  menu.querySelector('.branch-create').onclick = () => {
+    closeBranchMenu();
+    createBranch(branches.local, current);
+  };
 
-    // Update openTabs
-    openTabs = openTabs.map(path => {
-      if (path === node.path) {
-        return parentPath ? `${parentPath}/${newName}` : newName;
-      }
-      if (node.kind === 'directory' && path.startsWith(node.path + '/')) {
-        const newPrefix = parentPath ? `${parentPath}/${newName}` : newName;
-        return path.replace(node.path, newPrefix);
-      }
-      return path;
+  document.body.appendChild(menu);
+  setTimeout(() => filterEl.focus(), 0);
+
+  const closeOnOutsideClick = (e) => {
+    if (!branchMenu || branchMenu !== menu) {
+      document.removeEventListener('click', closeOnOutsideClick);
+    } else if (!menu.contains(e.target) && !btn.contains(e.target)) {
+      closeBranchMenu();
+      document.removeEventListener('click', closeOnOutsideClick);
+    }
+  };
+  setTimeout(() => document.addEventListener('click', closeOnOutsideClick), 0);
+}
+
+// Modal with a branch name field and, when creating, a start point
+function showBranchDialog({ title, submitLabel, name = '', startPoints = null, onSubmit }) {
+  const modalOverlay = document.createElement('div');
+  modalOverlay.className = 'modal-overlay';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content fade-in';
+  modalContent.innerHTML = `
+    <div class="modal-header">
+      <h3></h3>
+      <button class="icon-btn" id="modal-close">×</button>
+    </div>
+    <form class="modal-body modal-form" id="branch-form">
+      <label class="form-field">
+        <span>Branch Name</span>
+        <input type="text" name="name" autocomplete="off" required>
+      </label>
+      ${startPoints ? `
+      <label class="form-field">
+        <span>From</span>
+        <select name="startPoint"></select>
+      </label>
+      <label class="form-checkbox">
+        <input type="checkbox" name="checkout" checked>
+        <span>Check out the new branch</span>
+      </label>` : ''}
+      <div class="modal-error hidden" id="branch-error"></div>
+      <div class="modal-actions">
+        <button type="button" class="btn btn-secondary" id="branch-cancel">Cancel</button>
+        <button type="submit" class="btn btn-primary"></button>
+      </div>
+    </form>
+  `;
+  modalContent.querySelector('h3').textContent = title;
+  modalContent.querySelector('button[type="submit"]').textContent = submitLabel;
+
+  const form = modalContent.querySelector('#branch-form');
+  const errorEl = modalContent.querySelector('#branch-error');
+  form.elements.name.value = name;
+  if (startPoints) {
+    startPoints.forEach(point => {
+      const option = document.createElement('option');
+      option.value = point;
+      option.textContent = point;
+      form.elements.startPoint.appendChild(option);
     });
+  }
 
-    // If renamed file was open, update handle or close
-    if (currentFileHandle === node.handle) {
-      currentFileHandle = null;
-      document.getElementById('current-file-label').textContent = 'No file open';
-      // Re-open if it was a file
-      if (node.kind === 'file') {
-        const newPath = parentPath ? `${parentPath}/${newName}` : newName;
-        await loadFile(newPath);
-      } else {
-        renderTabs();
-      }
-    } else {
-      renderTabs();
+  modalOverlay.appendChild(modalContent);
+  document.body.appendChild(modalOverlay);
+  setTimeout(() => form.elements.name.select(), 0);
+
+  const closeModal = () => modalOverlay.remove();
+
+  form.onsubmit = async (e) => {
+    e.preventDefault();
+    const value = form.elements.name.value.trim();
+    if (!value) return;
+    try {
+      await onSubmit({
+        name: value,
+        startPoint: startPoints ? form.elements.startPoint.value : null,
+        checkout: startPoints ? form.elements.checkout.checked : false
+      });
+      closeModal();
+    } catch (err) {
+      errorEl.textContent = describeBranchError(err);
+      errorEl.classList.remove('hidden');
     }
-  } catch (err) {
-    console.error("Error renaming item:", err);
-    alert("Could not rename item. " + err.message);
-    renamingItem = null;
-    renderFileTree();
+  };
+
+  modalContent.querySelector('#modal-close').onclick = closeModal;
+  modalContent.querySelector('#branch-cancel').onclick = closeModal;
+  modalOverlay.onclick = (e) => { if (e.target === modalOverlay) closeModal(); };
+}
+
+function describeBranchError(err) {
+  switch (err.code) {
+    case 'AlreadyExistsError':
+      return 'A branch with that name already exists.';
+    case 'InvalidRefNameError':
+      return `"${err.data.ref}" is not a valid branch name.`;
+    case 'NotFoundError':
+      return 'The repository has no commits yet. Make a commit before creating branches.';
+    default:
+      return err.message;
   }
 }
 
-async function copyDirectory(srcHandle, destParentHandle, newName) {
-  const newDirHandle = await destParentHandle.getDirectoryHandle(newName, { create: true });
-  for await (const entry of srcHandle.values()) {
-    if (entry.kind === 'file') {
-      const file = await entry.getFile();
-      const newFileHandle = await newDirHandle.getFileHandle(entry.name, { create: true });
-      const writable = await newFileHandle.createWritable();
-      await writable.write(file);
-      await writable.close();
-    } else if (entry.kind === 'directory') {
-      await copyDirectory(entry, newDirHandle, entry.name);
+function createBranch(localBranches, current) {
+  const startPoints = current ? [current, ...localBranches.filter(branch => branch !== current)] : localBranches;
+  showBranchDialog({
+    title: 'Create Branch',
+    submitLabel: 'Create',
+    startPoints: startPoints.length > 0 ? startPoints : ['HEAD'],
+    onSubmit: async ({ name, startPoint, checkout }) => {
+      const object = await git.resolveRef({ fs, dir: gitRepoDir, ref: startPoint });
+      await git.branch({ fs, dir: gitRepoDir, ref: name, object });
+      await syncGitIntoFolder();
+      if (checkout) checkoutBranch(name);
+      else refreshBranchIndicator();
     }
-  }
+  });
 }
 
+function renameBranch(branch) {
+  showBranchDialog({
+    title: `Rename Branch "${branch}"`,
+    submitLabel: 'Rename',
+    name: branch,
+    onSubmit: async ({ name }) => {
+      if (name === branch) return;
+      const current = await git.currentBranch({ fs, dir: gitRepoDir });
+      await git.renameBranch({ fs, dir: gitRepoDir, oldref: branch, ref: name, checkout: current === branch });
+      await syncGitIntoFolder();
+      await refreshBranchIndicator();
+    }
+  });
+}
 
+async function deleteBranch(branch) {
+  try {
+    const branchOid = await git.resolveRef({ fs, dir: gitRepoDir, ref: `refs/heads/${branch}` });
+    const headOid = await git.resolveRef({ fs, dir: gitRepoDir, ref: 'HEAD' });
+    const merged = branchOid === headOid
+      || await git.isDescendent({ fs, dir: gitRepoDir, oid: headOid, ancestor: branchOid, depth: -1 });
+
+    const message = merged
+      ? `Delete branch "${branch}"?`
+      : `Branch "${branch}" has commits that are not part of the current branch. They will be lost. Delete it anyway?`;
+    if (!confirm(message)) return;
+
+    await git.deleteBranch({ fs, dir: gitRepoDir, ref: branch });
+    await syncGitIntoFolder();
+  } catch (err) {
+    console.error("Delete branch error:", err);
+    alert("Could not delete branch: " + err.message);
+  }
+}
 
-async function deleteItem(node) {
-  if (!rootHandle) return;
+// Open tabs whose buffer differs from the file on disk
+async function getUnsavedPaths() {
+  const unsaved = [];
+  for (const path of openTabs) {
+    const handle = fileHandles.get(path);
+    const content = fileContent.get(path);
+    if (!handle || typeof content !== 'string') continue;
+    const saved = await (await handle.getFile()).text();
+    if (saved !== content) unsaved.push(path);
+  }
+  return unsaved;
+}
 
-  try {
-    // Get parent directory handle
-    const parentPath = node.path.substring(0, node.path.lastIndexOf('/'));
-    let parentHandle = rootHandle;
+function showUnsavedChangesDialog(branch, paths) {
+  return new Promise((resolve) => {
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'modal-overlay';
 
-    if (parentPath) {
-      const pathParts = parentPath.split('/');
-      for (const part of pathParts) {
-        parentHandle = await parentHandle.getDirectoryHandle(part);
-      }
-    }
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content fade-in';
+    modalContent.innerHTML = `
+      <div class="modal-header">
+        <h3>Unsaved Changes</h3>
+        <button class="icon-btn" id="modal-close">×</button>
+      </div>
+      <div class="modal-body modal-form">
+        <p class="modal-text"></p>
+        <ul class="unsaved-list"></ul>
+        <p class="modal-text">Carrying them over keeps the edits as unsaved buffers on top of the files from "${branch}".</p>
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary" id="unsaved-cancel">Cancel</button>
+          <button type="button" class="btn btn-primary" id="unsaved-carry">Carry Changes Over</button>
+        </div>
+      </div>
+    `;
+    modalContent.querySelector('.modal-text').textContent =
+      `The following files have unsaved edits. Switching to "${branch}" would discard them.`;
+    const listEl = modalContent.querySelector('.unsaved-list');
+    paths.forEach(path => {
+      const item = document.createElement('li');
+      item.textContent = path;
+      listEl.appendChild(item);
+    });
 
-    // Remove the entry
-    await parentHandle.removeEntry(node.name, { recursive: node.kind === 'directory' });
+    modalOverlay.appendChild(modalContent);
+    document.body.appendChild(modalOverlay);
 
-    // Refresh tree
-    fileHandles.clear();
-    fileContent.clear();
-    fileTree = { children: new Map(), name: rootHandle.name, path: '', kind: 'directory' };
-    await scanDirectory(rootHandle, fileTree);
-    renderFileTree();
+    const finish = (choice) => {
+      modalOverlay.remove();
+      resolve(choice);
+    };
+    modalContent.querySelector('#modal-close').onclick = () => finish('cancel');
+    modalContent.querySelector('#unsaved-cancel').onclick = () => finish('cancel');
+    modalContent.querySelector('#unsaved-carry').onclick = () => finish('carry');
+    modalOverlay.onclick = (e) => { if (e.target === modalOverlay) finish('cancel'); };
+  });
+}
 
-    // Update openTabs
-    const wasOpen = openTabs.includes(node.path);
-    openTabs = openTabs.filter(path => {
-      if (path === node.path) return false;
-      if (node.kind === 'directory' && path.startsWith(node.path + '/')) return false;
-      return true;
-    });
+// Checks out a local branch, or creates a local branch tracking `remote`'s
+// branch of the same name. Unsaved buffers are either kept or block the switch.
+async function checkoutBranch(branch, remote) {
+  if (!gitRepoDir || gitSyncInProgress) return;
+  if (await readMergeState()) {
+    alert("A merge is in progress. Commit or abort it before switching branches.");
+    return;
+  }
 
-    // If deleted file was open, close it
-    if (currentFileHandle === node.handle || (node.kind === 'file' && wasOpen)) {
-      currentFileHandle = null;
-      document.getElementById('current-file-label').textContent = 'No file open';
+  let carried = null;
+  const unsaved = await getUnsavedPaths();
+  if (unsaved.length > 0) {
+    if (await showUnsavedChangesDialog(branch, unsaved) !== 'carry') return;
+    carried = new Map(unsaved.map(path => [path, fileContent.get(path)]));
+  }
 
-      if (openTabs.length > 0) {
-        await loadFile(openTabs[0]);
-      } else {
-        showWelcomeScreen();
+  gitSyncInProgress = true;
+  try {
+    await syncFolderIntoGit();
+
+    if (carried) {
+      // Buffers can only be carried onto files the target branch also has
+      const target = await git.resolveRef({
+        fs,
+        dir: gitRepoDir,
+        ref: remote ? `refs/remotes/${remote}/${branch}` : `refs/heads/${branch}`
+      });
+      const missing = [];
+      for (const path of carried.keys()) {
+        try {
+          await git.readBlob({ fs, dir: gitRepoDir, oid: target, filepath: path });
+        } catch (e) {
+          missing.push(path);
+        }
+      }
+      if (missing.length > 0) {
+        throw new Error(`${missing.join(', ')} ${missing.length === 1 ? 'does' : 'do'} not exist on "${branch}". Save or close ${missing.length === 1 ? 'it' : 'them'} first.`);
       }
-    } else {
-      renderTabs();
     }
+
+    await git.checkout({ fs, dir: gitRepoDir, ref: branch, remote: remote || 'origin' });
+    await syncGitIntoFolder();
+    await reloadProjectFiles();
+
+    if (carried) await restoreBuffers(carried);
   } catch (err) {
-    console.error("Error deleting item:", err);
-    alert("Could not delete item. " + err.message);
+    console.error("Checkout error:", err);
+    alert(err.code === 'CheckoutConflictError'
+      ? `Cannot switch to "${branch}": your changes to ${err.data.filepaths.join(', ')} would be overwritten. Commit or discard them first.`
+      : `Could not switch to "${branch}": ${err.message}`);
   }
+  gitSyncInProgress = false;
+
+  await refreshSourceControl();
 }
 
 // Start
@@ -0,0 +1,220 @@
+// Parsing and resolving merge conflict markers, plus a CodeMirror extension
+// that highlights conflict blocks and offers accept-ours / accept-theirs /
+// accept-both actions above each of them.
+//
+// A conflict block looks like
+//   <<<<<<< ours-label
+//   ...our lines...
+//   ||||||| base-label        (optional, diff3 style)
+//   ...base lines...
+//   =======
+//   ...their lines...
+//   >>>>>>> theirs-label
+
+import { EditorView, Decoration, WidgetType } from "@codemirror/view";
+import { StateField } from "@codemirror/state";
+
+const MARKER_SIZE = 7;
+
+function markerLabel(line, char) {
+  const prefix = char.repeat(MARKER_SIZE);
+  if (!line.startsWith(prefix)) return null;
+  const rest = line.slice(MARKER_SIZE);
+  if (rest === '' || rest === '\r') return '';
+  if (rest[0] !== ' ') return null;
+  return rest.slice(1).replace(/\r$/, '');
+}
+
+function isSeparator(line) {
+  return /^={7}\s*$/.test(line);
+}
+
+export function hasConflictMarkers(text) {
+  return typeof text === 'string' && parseConflicts(text).length > 0;
+}
+
+// Returns the conflict blocks of a text as
+// { startLine, endLine, ours, base, theirs, oursLabel, baseLabel, theirsLabel }
+// with 0-based marker line indexes and the lines of each side. `base` is null
+// unless the block has a diff3 base section. Unterminated blocks are ignored.
+export function parseConflicts(text) {
+  if (typeof text !== 'string' || !text.includes('<'.repeat(MARKER_SIZE))) return [];
+
+  const lines = text.split('\n');
+  const blocks = [];
+  let current = null;
+  let section = null;
+
+  lines.forEach((line, index) => {
+    if (!current) {
+      const label = markerLabel(line, '<');
+      if (label !== null) {
+        current = { startLine: index, ours: [], base: null, theirs: [], oursLabel: label, baseLabel: null, theirsLabel: null };
+        section = 'ours';
+      }
+      return;
+    }
+
+    if (section === 'ours' || section === 'base') {
+      const baseLabel = section === 'ours' ? markerLabel(line, '|') : null;
+      if (baseLabel !== null) {
+        current.base = [];
+        current.baseLabel = baseLabel;
+        section = 'base';
+      } else if (isSeparator(line)) {
+        section = 'theirs';
+      } else if (markerLabel(line, '<') !== null) {
+        // A new block before this one closed: treat the earlier start as text
+        current = { startLine: index, ours: [], base: null, theirs: [], oursLabel: markerLabel(line, '<'), baseLabel: null, theirsLabel: null };
+        section = 'ours';
+      } else {
+        current[section].push(line);
+      }
+      return;
+    }
+
+    const theirsLabel = markerLabel(line, '>');
+    if (theirsLabel !== null) {
+      current.theirsLabel = theirsLabel;
+      current.endLine = index;
+      blocks.push(current);
+      current = null;
+      section = null;
+    } else {
+      current.theirs.push(line);
+    }
+  });
+
+  return blocks;
+}
+
+function blockLines(block, choice) {
+  switch (choice) {
+    case 'ours': return block.ours;
+    case 'theirs': return block.theirs;
+    case 'base': return block.base || [];
+    default: return [...block.ours, ...block.theirs]; // both
+  }
+}
+
+// Replaces conflict blocks with the chosen side: 'ours', 'theirs', 'both' or
+// 'base'. Only the block at `blockIndex` is replaced unless it is omitted.
+export function resolveConflicts(text, choice, blockIndex = null) {
+  const blocks = parseConflicts(text);
+  if (blocks.length === 0) return text;
+
+  const lines = text.split('\n');
+  for (let i = blocks.length - 1; i >= 0; i--) {
+    if (blockIndex !== null && i !== blockIndex) continue;
+    const block = blocks[i];
+    lines.splice(block.startLine, block.endLine - block.startLine + 1, ...blockLines(block, choice));
+  }
+  return lines.join('\n');
+}
+
+// Rebuilds one side of the merge from a conflicted text. Returns null for the
+// base when the markers don't carry base sections.
+export function conflictSideText(text, side) {
+  const blocks = parseConflicts(text);
+  if (side === 'base' && blocks.some(block => block.base === null)) return null;
+  return resolveConflicts(text, side);
+}
+
+// --- Editor extension ---
+
+class ConflictActionsWidget extends WidgetType {
+  constructor(block, index) {
+    super();
+    this.block = block;
+    this.index = index;
+  }
+
+  eq(other) {
+    return other.index === this.index
+      && other.block.startLine === this.block.startLine
+      && other.block.endLine === this.block.endLine
+      && other.block.oursLabel === this.block.oursLabel
+      && other.block.theirsLabel === this.block.theirsLabel;
+  }
+
+  toDOM(view) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'cm-conflict-actions';
+
+    const actions = [
+      ['ours', `Accept Ours${this.block.oursLabel ? ` (${this.block.oursLabel})` : ''}`],
+      ['theirs', `Accept Theirs${this.block.theirsLabel ? ` (${this.block.theirsLabel})` : ''}`],
+      ['both', 'Accept Both']
+    ];
+    actions.forEach(([choice, label]) => {
+      const btn = document.createElement('button');
+      btn.className = 'cm-conflict-btn';
+      btn.textContent = label;
+      btn.onclick = () => acceptConflict(view, this.index, choice);
+      wrapper.appendChild(btn);
+    });
+    return wrapper;
+  }
+
+  ignoreEvent() {
+    return true;
+  }
+}
+
+export function acceptConflict(view, blockIndex, choice) {
+  const blocks = view.state.field(conflictField);
+  const block = blocks[blockIndex];
+  if (!block) return;
+
+  const from = view.state.doc.line(block.startLine + 1).from;
+  const to = view.state.doc.line(block.endLine + 1).to;
+  const replacement = blockLines(block, choice).join('\n');
+  // Drop the line break after the block too when the replacement is empty
+  const end = replacement === '' && to < view.state.doc.length ? to + 1 : to;
+  view.dispatch({ changes: { from, to: end, insert: replacement }, userEvent: 'input.resolve' });
+}
+
+const conflictField = StateField.define({
+  create(state) {
+    return parseConflicts(state.doc.toString());
+  },
+  update(blocks, tr) {
+    return tr.docChanged ? parseConflicts(tr.state.doc.toString()) : blocks;
+  }
+});
+
+const markerLine = Decoration.line({ class: 'cm-conflict-marker' });
+const oursLine = Decoration.line({ class: 'cm-conflict-ours' });
+const baseLine = Decoration.line({ class: 'cm-conflict-base' });
+const theirsLine = Decoration.line({ class: 'cm-conflict-theirs' });
+
+const conflictDecorations = EditorView.decorations.compute([conflictField], (state) => {
+  const blocks = state.field(conflictField);
+  if (blocks.length === 0) return Decoration.none;
+
+  const ranges = [];
+  blocks.forEach((block, index) => {
+    const start = state.doc.line(block.startLine + 1);
+    ranges.push(Decoration.widget({ widget: new ConflictActionsWidget(block, index), block: true, side: -1 }).range(start.from));
+
+    let section = oursLine;
+    for (let line = block.startLine; line <= block.endLine; line++) {
+      const text = state.doc.line(line + 1);
+      const isMarker = line === block.startLine
+        || line === block.endLine
+        || (section === oursLine && markerLabel(text.text, '|') !== null)
+        || isSeparator(text.text);
+      if (isMarker) {
+        if (line !== block.startLine) section = section === oursLine && block.base !== null ? baseLine : theirsLine;
+        ranges.push(markerLine.range(text.from));
+      } else {
+        ranges.push(section.range(text.from));
+      }
+    }
+  });
+  return Decoration.set(ranges, true);
+});
+
+export function conflictMarkers() {
+  return [conflictField, conflictDecorations];
+}
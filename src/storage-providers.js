@@ -0,0 +1,111 @@
+// Storage providers for projects that live entirely in browser storage, for
+// browsers without showDirectoryPicker and for throwaway projects. Each one
+// hands out directory handles (native ones from the origin-private file
+// system, File System Access style adapters for LightningFS), so scanning,
+// saving, creating, renaming and deleting work on these projects exactly as
+// on a picked folder.
+//
+// provider: { id, label, isAvailable(), listProjects(), getProject(name),
+//             createProject(name), deleteProject(name) }
+
+import { createDirectoryHandle, removeRecursive } from "./lightning-handles.js";
+
+const OPFS_PROJECTS_DIR = 'indextor-projects';
+
+function checkProjectName(name) {
+  if (!name || name.startsWith('.') || /[\\/]/.test(name)) {
+    throw new Error(`"${name}" is not a valid project name`);
+  }
+}
+
+export function createOpfsProvider() {
+  const getRoot = async () => {
+    const opfsRoot = await navigator.storage.getDirectory();
+    return opfsRoot.getDirectoryHandle(OPFS_PROJECTS_DIR, { create: true });
+  };
+
+  return {
+    id: 'opfs',
+    label: 'Browser Storage',
+
+    // Safari long only offered synchronous access handles inside workers
+    isAvailable() {
+      return !!(navigator.storage && navigator.storage.getDirectory)
+        && typeof FileSystemFileHandle !== 'undefined'
+        && 'createWritable' in FileSystemFileHandle.prototype;
+    },
+
+    async listProjects() {
+      const names = [];
+      for await (const entry of (await getRoot()).values()) {
+        if (entry.kind === 'directory') names.push(entry.name);
+      }
+      return names.sort();
+    },
+
+    async getProject(name) {
+      return (await getRoot()).getDirectoryHandle(name);
+    },
+
+    async createProject(name) {
+      checkProjectName(name);
+      const root = await getRoot();
+      try {
+        await root.getDirectoryHandle(name);
+      } catch (e) {
+        return root.getDirectoryHandle(name, { create: true });
+      }
+      throw new Error(`A project named "${name}" already exists`);
+    },
+
+    async deleteProject(name) {
+      await (await getRoot()).removeEntry(name, { recursive: true });
+    }
+  };
+}
+
+// Projects are the folders directly inside `baseDir`, which is where cloned
+// repositories go too. Dot folders hold internal state such as the mirrors
+// of opened folders.
+export function createLightningProvider(pfs, baseDir) {
+  const projectDir = name => `${baseDir}/${name}`;
+
+  return {
+    id: 'lightningfs',
+    label: 'Virtual Filesystem',
+
+    isAvailable() {
+      return typeof indexedDB !== 'undefined';
+    },
+
+    async listProjects() {
+      const names = [];
+      for (const name of await pfs.readdir(baseDir)) {
+        if (name.startsWith('.')) continue;
+        const stat = await pfs.stat(projectDir(name));
+        if (stat.type === 'dir') names.push(name);
+      }
+      return names.sort();
+    },
+
+    async getProject(name) {
+      await pfs.stat(projectDir(name));
+      return createDirectoryHandle(pfs, projectDir(name));
+    },
+
+    async createProject(name) {
+      checkProjectName(name);
+      try {
+        await pfs.stat(projectDir(name));
+      } catch (e) {
+        await pfs.mkdir(projectDir(name));
+        return createDirectoryHandle(pfs, projectDir(name));
+      }
+      throw new Error(`A project named "${name}" already exists`);
+    },
+
+    async deleteProject(name) {
+      await removeRecursive(pfs, projectDir(name));
+    }
+  };
+}
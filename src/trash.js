@@ -0,0 +1,148 @@
+// Trash bin for destructive file operations. Before a file or folder is
+// deleted or overwritten its content is snapshotted into IndexedDB, so it can
+// be written back to its original path later.
+//
+// item: { id, project, projectName, path, kind,
+//         reason: 'delete' | 'overwrite', deletedAt, entries: [{ path, kind, data }] }
+// where `project` is a stable id of the project and `projectName` its name.
+// Projects without a Recent Projects entry have ids starting with "session:"
+// and keep their items for that session only.
+// where entry paths are relative to the item ('' for a file item itself) and
+// `data` holds a file's bytes as an ArrayBuffer.
+
+const DB_NAME = 'indextor-trash';
+const STORE = 'items';
+
+// Larger items (a node_modules folder, say) would take long to copy and could
+// fill the storage quota, so they aren't kept
+export const TRASH_LIMIT = { files: 2000, bytes: 50 * 1024 * 1024 };
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('project', 'project');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function runRequest(mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function collectEntries(handle, base, entries) {
+  if (handle.kind === 'file') {
+    const file = await handle.getFile();
+    entries.push({ path: base, kind: 'file', data: await file.arrayBuffer() });
+    return;
+  }
+  entries.push({ path: base, kind: 'directory' });
+  for await (const entry of handle.values()) {
+    await collectEntries(entry, base ? `${base}/${entry.name}` : entry.name, entries);
+  }
+}
+
+// Whether a file or folder is over TRASH_LIMIT. Stops walking as soon as it
+// is.
+export async function exceedsTrashLimit(handle) {
+  let files = 0;
+  let bytes = 0;
+  const walk = async (entry) => {
+    if (entry.kind === 'file') {
+      files++;
+      bytes += (await entry.getFile()).size;
+      return files > TRASH_LIMIT.files || bytes > TRASH_LIMIT.bytes;
+    }
+    for await (const child of entry.values()) {
+      if (await walk(child)) return true;
+    }
+    return false;
+  };
+  return walk(handle);
+}
+
+// Copies a file or folder handle into the trash. Returns the new item's id.
+export async function trashHandle(handle, { project, projectName, path, reason }) {
+  const entries = [];
+  await collectEntries(handle, '', entries);
+  const item = { project, projectName, path, kind: handle.kind, reason, deletedAt: Date.now(), entries };
+  return runRequest('readwrite', store => store.add(item));
+}
+
+// Items of a project, most recently trashed first
+export async function listTrash(project) {
+  const items = await runRequest('readonly', store => store.index('project').getAll(project));
+  return items.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+export function getTrashItem(id) {
+  return runRequest('readonly', store => store.get(id));
+}
+
+export function purgeTrashItem(id) {
+  return runRequest('readwrite', store => store.delete(id));
+}
+
+export async function emptyTrash(project) {
+  const items = await listTrash(project);
+  await runRequest('readwrite', store => {
+    items.forEach(item => store.delete(item.id));
+  });
+}
+
+// Drops the items left by earlier sessions' unlisted projects, which can't be
+// opened again to restore or empty them
+export async function purgeSessionTrash() {
+  const ids = await runRequest('readonly', store => store.index('project').getAllKeys(IDBKeyRange.bound('session:', 'session:\uffff')));
+  if (ids.length === 0) return;
+  await runRequest('readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  });
+}
+
+// Writes an item back as `name` inside `parentHandle` and returns the handle
+// of the restored file or folder
+export async function writeTrashItem(item, parentHandle, name) {
+  if (item.kind === 'file') {
+    const fileHandle = await parentHandle.getFileHandle(name, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(item.entries[0].data);
+    await writable.close();
+    return fileHandle;
+  }
+
+  const rootHandle = await parentHandle.getDirectoryHandle(name, { create: true });
+  for (const entry of item.entries) {
+    if (!entry.path) continue;
+    const parts = entry.path.split('/');
+    const entryName = parts.pop();
+    let dirHandle = rootHandle;
+    for (const part of parts) {
+      dirHandle = await dirHandle.getDirectoryHandle(part, { create: true });
+    }
+    if (entry.kind === 'directory') {
+      await dirHandle.getDirectoryHandle(entryName, { create: true });
+    } else {
+      const fileHandle = await dirHandle.getFileHandle(entryName, { create: true });
+      const writable = await fileHandle.createWritable();
+      await writable.write(entry.data);
+      await writable.close();
+    }
+  }
+  return rootHandle;
+}
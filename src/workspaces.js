@@ -0,0 +1,103 @@
+// Recently opened projects and the session state of each, kept in IndexedDB
+// so a reload can pick up where the user left off. Folders opened from disk
+// keep their directory handle (which needs permission again after a reload);
+// projects in browser storage, cloned repositories included, are stored by
+// storage provider and name.
+//
+// workspace: { id, kind: 'folder' | 'browser', name, handle?, provider?,
+//              lastOpened,
+//              session: { openTabs, activeFile, positions, openFolders,
+//                         sidebarWidth, mode, previewFile, recentFiles } | null }
+
+const DB_NAME = 'indextor-workspaces';
+const STORE = 'workspaces';
+const MAX_RECENT = 10;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function runRequest(mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Most recently opened first
+export async function listRecentWorkspaces() {
+  const workspaces = await runRequest('readonly', store => store.getAll());
+  return workspaces.sort((a, b) => b.lastOpened - a.lastOpened);
+}
+
+export function getWorkspace(id) {
+  return runRequest('readonly', store => store.get(id));
+}
+
+export function forgetWorkspace(id) {
+  return runRequest('readwrite', store => store.delete(id));
+}
+
+export async function findWorkspace({ kind, name, handle = null, provider = null }) {
+  for (const workspace of await listRecentWorkspaces()) {
+    if (workspace.kind !== kind) continue;
+    if (kind === 'browser' && workspace.provider === provider && workspace.name === name) return workspace;
+    if (kind === 'folder' && await workspace.handle.isSameEntry(handle)) return workspace;
+  }
+  return null;
+}
+
+// Records that a project was opened, reusing the entry of the same folder or
+// browser project when there is one, and returns the entry with its saved
+// session
+export async function registerWorkspace({ kind, name, handle = null, provider = null }) {
+  const workspaces = await listRecentWorkspaces();
+  const existing = await findWorkspace({ kind, name, handle, provider });
+  const workspace = {
+    id: existing ? existing.id : `${kind}:${Date.now()}`,
+    kind,
+    name,
+    handle,
+    provider,
+    lastOpened: Date.now(),
+    session: existing ? existing.session : null
+  };
+
+  const stale = workspaces.filter(entry => !existing || entry.id !== existing.id).slice(MAX_RECENT - 1);
+  await runRequest('readwrite', store => {
+    stale.forEach(entry => store.delete(entry.id));
+    return store.put(workspace);
+  });
+  return workspace;
+}
+
+export async function saveWorkspaceSession(id, session) {
+  const workspace = await getWorkspace(id);
+  if (!workspace) return;
+  await runRequest('readwrite', store => store.put({ ...workspace, session }));
+}
+
+// Checks (and with `request`, asks for) read/write access to a stored folder.
+// Asking only works during a user gesture.
+export async function ensurePermission(handle, request = false) {
+  const options = { mode: 'readwrite' };
+  if ((await handle.queryPermission(options)) === 'granted') return true;
+  if (!request) return false;
+  return (await handle.requestPermission(options)) === 'granted';
+}
@@ -0,0 +1,85 @@
+// Reading ZIP archives into project folders and packing folders into ZIP
+// archives. Entries are { path, data } with `data` a Uint8Array, or null for
+// a folder. Contents are copied as raw bytes both ways, so binary files
+// round-trip unchanged.
+
+import { zipSync, unzipSync } from "fflate";
+
+// Formats that are compressed already and only get slower to pack
+const STORED_EXTENSIONS = /\.(png|jpe?g|gif|webp|ico|zip|gz|woff2?|mp3|mp4|webm|pdf)$/i;
+
+// Returns the entries of an archive. With `stripRoot`, a single top-level
+// folder wrapping everything is dropped, as in archives downloaded from code
+// hosts.
+export async function readZip(blob, { stripRoot = false } = {}) {
+  const archive = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+  let entries = Object.entries(archive)
+    .filter(([path]) => !path.startsWith('__MACOSX/'))
+    .map(([path, data]) => path.endsWith('/')
+      ? { path: path.replace(/^\/+|\/+$/g, ''), data: null }
+      : { path: path.replace(/^\/+/, ''), data })
+    // Never write outside the destination folder
+    .filter(entry => entry.path && !entry.path.split('/').some(part => part === '..' || part === '.'));
+
+  const roots = new Set(entries.map(entry => entry.path.split('/')[0]));
+  const [root] = roots;
+  if (stripRoot && roots.size === 1 && entries.some(entry => entry.path !== root)) {
+    entries = entries
+      .filter(entry => entry.path !== root)
+      .map(entry => ({ ...entry, path: entry.path.slice(root.length + 1) }));
+  }
+  return entries;
+}
+
+export function createZip(entries) {
+  const files = {};
+  entries.forEach(({ path, data }) => {
+    if (data === null) files[`${path}/`] = new Uint8Array(0);
+    else files[path] = [data, { level: STORED_EXTENSIONS.test(path) ? 0 : 6 }];
+  });
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
+
+// Writes entries below a directory handle, creating the folders they need
+export async function writeFilesToDirectory(dirHandle, entries) {
+  for (const { path, data } of entries) {
+    const parts = path.split('/').filter(Boolean);
+    const name = parts.pop();
+    let parentHandle = dirHandle;
+    for (const part of parts) {
+      parentHandle = await parentHandle.getDirectoryHandle(part, { create: true });
+    }
+    if (data === null) {
+      await parentHandle.getDirectoryHandle(name, { create: true });
+      continue;
+    }
+    const fileHandle = await parentHandle.getFileHandle(name, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(data);
+    await writable.close();
+  }
+}
+
+// Folders the entries are written into, listed or not, parents first
+export function getFolderPaths(entries) {
+  const folders = new Set();
+  for (const { path, data } of entries) {
+    const parts = path.split('/').filter(Boolean);
+    if (data !== null) parts.pop();
+    parts.forEach((part, i) => folders.add(parts.slice(0, i + 1).join('/')));
+  }
+  return [...folders];
+}
+
+// The handle of the file or folder at `path` below `dirHandle`, or null
+export async function getExistingEntry(dirHandle, path) {
+  const parts = path.split('/').filter(Boolean);
+  const name = parts.pop();
+  try {
+    let parentHandle = dirHandle;
+    for (const part of parts) parentHandle = await parentHandle.getDirectoryHandle(part);
+    return await parentHandle.getFileHandle(name).catch(() => parentHandle.getDirectoryHandle(name));
+  } catch (e) {
+    return null;
+  }
+}